@@ -0,0 +1,49 @@
+// Puzzles that are slow for naive backtracking, used by benchmark/solve.js.
+
+module.exports = [
+  {
+    name: "Arto Inkala (2012)",
+    puzzle:
+      "8..........36......7..9.2...5...7.......457.....1...3...1....68..85...1..9....4..",
+  },
+  {
+    name: "AI Escargot",
+    puzzle:
+      "1....7.9..3..2...8..96..5....53..9...1..8...26....4...3......1..4......7..7...3..",
+  },
+  {
+    name: "Easter Monster",
+    puzzle:
+      "1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1",
+  },
+  {
+    name: "top95 #1",
+    puzzle:
+      "4.....8.5.3..........7......2.....6.....8.4......1.......6.3.7.5..2.....1.4......",
+  },
+  {
+    name: "top95 #2",
+    puzzle:
+      "52...6.........7.13...........4..8..6......5...........418.........3..2...87.....",
+  },
+  {
+    name: "top95 #3",
+    puzzle:
+      "6.....8.3.4.7.................5.4.7.3..2.....1.6.......2.....5.....8.6......1....",
+  },
+  {
+    name: "Norvig's hard1 (many solutions)",
+    puzzle:
+      ".....6....59.....82....8....45........3........6..3.54...325..6..................",
+  },
+  {
+    name: "Single clue",
+    puzzle:
+      "1................................................................................",
+  },
+  {
+    name: "Empty grid",
+    puzzle:
+      ".................................................................................",
+  },
+];
@@ -0,0 +1,63 @@
+// Times SudokuSolver.solve() and countSolutions() on the puzzles in
+// benchmark/hard-puzzles.js.
+//
+// Usage: npm run benchmark [-- --iterations 10]
+
+const SudokuSolver = require("../controllers/sudoku-solver.js");
+const puzzles = require("./hard-puzzles.js");
+
+const solver = new SudokuSolver();
+
+const flag = process.argv.indexOf("--iterations");
+
+const iterations = flag === -1 ? 5 : parseInt(process.argv[flag + 1], 10);
+
+if (!Number.isInteger(iterations) || iterations < 1) {
+  console.error("--iterations must be a positive integer");
+
+  process.exit(1);
+}
+
+// Returns the median duration of `fn` in milliseconds
+
+function time(fn) {
+  const samples = [];
+
+  for (let i = 0; i < iterations; i++) {
+    const start = process.hrtime.bigint();
+
+    fn();
+
+    samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  samples.sort((a, b) => a - b);
+
+  return samples[Math.floor(samples.length / 2)];
+}
+
+const rows = puzzles.map(({ name, puzzle }) => {
+  const clues = puzzle.replace(/\./g, "").length;
+
+  const solveMs = time(() => solver.solve(puzzle));
+
+  const countMs = time(() => solver.countSolutions(puzzle, 2));
+
+  const { count } = solver.countSolutions(puzzle, 2);
+
+  return {
+    puzzle: name,
+
+    clues,
+
+    solutions: count > 1 ? "2+" : count,
+
+    "solve (ms)": solveMs.toFixed(2),
+
+    "count (ms)": countMs.toFixed(2),
+  };
+});
+
+console.log(`Median of ${iterations} run(s) per puzzle`);
+
+console.table(rows);
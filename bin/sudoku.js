@@ -0,0 +1,509 @@
+#!/usr/bin/env node
+
+/**
+
+ * The sudoku command: solves, checks, validates, counts the solutions of and
+ * rates puzzles, and generates new ones, without running the server. Puzzles
+ * come from the arguments, from files, or from stdin, one per line.
+
+ */
+
+const fs = require("fs");
+const SudokuSolver = require("../controllers/sudoku-solver.js");
+const PuzzleGenerator = require("../controllers/puzzle-generator.js");
+const { parseBatch } = require("../controllers/batch-solver.js");
+const { randomSeed, createRandom } = require("../controllers/random.js");
+
+const USAGE = `Usage: sudoku <command> [puzzle...] [options]
+
+Commands:
+  solve      Print the solution of each puzzle
+  check      Check placing --value at --coordinate in each puzzle
+  validate   Check that each puzzle is well formed and its givens don't clash
+  count      Count the solutions of each puzzle, up to --limit (2)
+  rate       Rate how hard each puzzle is (classic 9x9 only)
+  generate   Generate --count (1) classic 9x9 puzzles (no board options)
+
+Puzzles are read from the arguments, from each --file (- for stdin), or
+else from stdin, one per line.
+
+Options:
+  --file, -f <path>    Read puzzles from a file
+  --json               Print one JSON object per puzzle instead of text
+  --size <n>           Board size: 4, 6, 9 (default), 12, 16 or 25
+  --variants <list>    Comma-separated variants, e.g. diagonal,anti-knight
+  --regions <map>      Jigsaw region map, one character per cell
+  --cages <json>       Killer cages, as a JSON array
+  --coordinate <cell>  For check: the cell, e.g. A2
+  --value <digit>      For check: the digit
+  --limit <n>          For count: how many solutions to look for
+  --count <n>          For generate: how many puzzles
+  --difficulty <tier>  For generate: the difficulty tier
+  --symmetry <name>    For generate: none, rotational, mirror or diagonal
+  --min-clues <n>      For generate: the fewest clues
+  --max-clues <n>      For generate: the most clues
+  --seed <seed>        For generate: makes the output reproducible
+  --help, -h           Show this help
+
+Exit status: 0 if every puzzle passed, 1 if any was invalid, unsolvable or
+failed its check, 2 for a usage error.
+`;
+
+const COMMANDS = ["solve", "check", "validate", "count", "rate", "generate"];
+
+// Options that take a value, and the ones that don't
+
+const VALUE_OPTIONS = [
+  "file",
+  "size",
+  "variants",
+  "regions",
+  "cages",
+  "coordinate",
+  "value",
+  "limit",
+  "count",
+  "difficulty",
+  "symmetry",
+  "min-clues",
+  "max-clues",
+  "seed",
+];
+
+const FLAGS = ["json", "help"];
+
+const ALIASES = { f: "file", h: "help" };
+
+class UsageError extends Error {}
+
+/**
+
+ * Splits the arguments into the command, the puzzles and the options.
+ * Options may be written `--name value` or `--name=value`; --file may be
+ * repeated.
+
+ * @param {string[]} args - The arguments after the program name.
+
+ * @returns {{command: string, puzzles: string[], options: Object}} - The parsed arguments.
+
+ */
+
+function parseArgs(args) {
+  const options = { file: [] };
+
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    const match = /^(?:--([\w-]+)|-(\w))(?:=(.*))?$/.exec(arg);
+
+    if (!match) {
+      positional.push(arg);
+
+      continue;
+    }
+
+    const name = match[1] || ALIASES[match[2]];
+
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+
+      continue;
+    }
+
+    if (!VALUE_OPTIONS.includes(name)) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    let value = match[3];
+
+    if (value === undefined) {
+      if (i + 1 >= args.length) throw new UsageError(`${arg} needs a value`);
+
+      value = args[++i];
+    }
+
+    if (name === "file") {
+      options.file.push(value);
+    } else {
+      options[name] = value;
+    }
+  }
+
+  const [command, ...puzzles] = positional;
+
+  return { command, puzzles, options };
+}
+
+function parseInteger(name, value, fallback) {
+  if (value === undefined) return fallback;
+
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`--${name} must be a whole number`);
+  }
+
+  return Number(value);
+}
+
+// The solver for the board the options describe
+
+function solverFor(options) {
+  const board = {};
+
+  if (options.size !== undefined) {
+    board.size = parseInteger("size", options.size);
+  }
+
+  if (options.variants !== undefined) {
+    board.variants = options.variants.split(",");
+  }
+
+  if (options.regions !== undefined) board.regions = options.regions;
+
+  if (options.cages !== undefined) {
+    try {
+      board.cages = JSON.parse(options.cages);
+    } catch (err) {
+      throw new UsageError("--cages must be JSON");
+    }
+  }
+
+  try {
+    return new SudokuSolver(board);
+  } catch (err) {
+    if (err instanceof RangeError) throw new UsageError(err.message);
+
+    throw err;
+  }
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    stream.on("data", (chunk) => chunks.push(chunk));
+
+    stream.on("end", () => resolve(chunks.join("")));
+
+    stream.on("error", reject);
+
+    if (stream.setEncoding) stream.setEncoding("utf8");
+  });
+}
+
+// The puzzles to work on: the arguments, then every file in order
+
+function readPuzzles(puzzles, files, stdin) {
+  if (puzzles.length === 0 && files.length === 0) {
+    if (stdin.isTTY) {
+      return Promise.reject(new UsageError("No puzzles given"));
+    }
+
+    return readStream(stdin).then((text) => parseBatch(text));
+  }
+
+  return files.reduce(
+    (read, file) =>
+      read.then((list) => {
+        const text =
+          file === "-"
+            ? readStream(stdin)
+            : fs.promises.readFile(file, "utf8").catch((err) => {
+                throw new UsageError(`Cannot read ${file}: ${err.code}`);
+              });
+
+        return text.then((content) => [...list, ...parseBatch(content)]);
+      }),
+
+    Promise.resolve(puzzles),
+  );
+}
+
+/**
+
+ * What each command does with one puzzle. A command returns the result to
+ * print, with `text`, the result as a line of plain text; one with an
+ * `error`, or `failed`, makes the exit status 1.
+
+ */
+
+const COMMAND_RUNNERS = {
+  solve(solver, puzzle) {
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) return { error: puzzleValidation.error };
+
+    const solution = solver.solve(puzzle);
+
+    if (!solution) return { error: "Puzzle cannot be solved" };
+
+    return { solution, text: solution };
+  },
+
+  check(solver, puzzle, options) {
+    const { coordinate, value } = options;
+
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) return { error: puzzleValidation.error };
+
+    const cell = solver.parseCoordinate(coordinate);
+
+    const digit = value.toUpperCase();
+
+    const conflict = solver.placementConflicts(
+      puzzle,
+
+      cell.row,
+
+      cell.column,
+
+      digit,
+    );
+
+    if (conflict.length > 0) {
+      return {
+        valid: false,
+
+        conflict,
+
+        failed: true,
+
+        text: `invalid: ${conflict.join(", ")}`,
+      };
+    }
+
+    return { valid: true, text: "valid" };
+  },
+
+  validate(solver, puzzle) {
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return { valid: false, error: puzzleValidation.error };
+    }
+
+    const conflicts = solver.conflictsIn(puzzle);
+
+    if (conflicts.length > 0) {
+      return {
+        valid: false,
+
+        error: "Puzzle has clashing givens",
+
+        conflicts,
+      };
+    }
+
+    return { valid: true, text: "valid" };
+  },
+
+  count(solver, puzzle, options) {
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) return { error: puzzleValidation.error };
+
+    const { count } = solver.countSolutions(puzzle, options.limit);
+
+    // The search stops at the limit, so reaching it means "at least"
+
+    return {
+      count,
+
+      exact: count < options.limit,
+
+      text: count < options.limit ? String(count) : `${count}+`,
+    };
+  },
+
+  rate(solver, puzzle) {
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) return { error: puzzleValidation.error };
+
+    const rating = solver.rate(puzzle);
+
+    if (!rating) return { error: "Puzzle cannot be rated" };
+
+    return { ...rating, text: `${rating.tier} ${rating.score}` };
+  },
+};
+
+// Checks the options a command needs before any puzzle is read
+
+function commandOptions(command, options, solver) {
+  if (command === "check") {
+    if (options.coordinate === undefined || options.value === undefined) {
+      throw new UsageError("check needs --coordinate and --value");
+    }
+
+    if (!solver.parseCoordinate(options.coordinate)) {
+      throw new UsageError("Invalid coordinate");
+    }
+
+    const digit = options.value.toUpperCase();
+
+    if (digit.length !== 1 || !solver.symbols.includes(digit)) {
+      throw new UsageError("Invalid value");
+    }
+  }
+
+  if (command === "count") {
+    const limit = parseInteger("limit", options.limit, 2);
+
+    if (limit < 1) throw new UsageError("--limit must be at least 1");
+
+    return { ...options, limit };
+  }
+
+  return options;
+}
+
+function generate(options, write) {
+  // The generator only makes classic puzzles, so board options would be
+  // ignored
+
+  const boardOption = ["size", "variants", "regions", "cages"].find(
+    (name) =>
+      options[name] !== undefined && !(name === "size" && options.size === "9"),
+  );
+
+  if (boardOption) {
+    throw new UsageError(
+      `generate only makes classic 9x9 puzzles, so it takes no --${boardOption}`,
+    );
+  }
+
+  const generator = new PuzzleGenerator();
+
+  const count = parseInteger("count", options.count, 1);
+
+  const settings = {
+    difficulty: options.difficulty,
+
+    symmetry: options.symmetry,
+
+    minClues: parseInteger("min-clues", options["min-clues"]),
+
+    maxClues: parseInteger("max-clues", options["max-clues"]),
+  };
+
+  const optionsValidation = generator.validateOptions(settings);
+
+  if (!optionsValidation.valid) {
+    throw new UsageError(optionsValidation.error);
+  }
+
+  // A seed makes the whole run reproducible: it seeds the seeds of the
+  // puzzles, each of which is printed with its puzzle
+
+  const random = options.seed === undefined ? null : createRandom(options.seed);
+
+  let failed = false;
+
+  for (let i = 0; i < count; i++) {
+    const seed = random ? Math.floor(random() * 0x100000000) : randomSeed();
+
+    const generated = generator.generate({ ...settings, seed });
+
+    if (!generated) {
+      failed = true;
+
+      write({
+        error: "Could not generate a puzzle with the requested options",
+      });
+    } else {
+      write({ ...generated, text: generated.puzzle });
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+/**
+
+ * Runs the command line.
+
+ * @param {string[]} args - The arguments after the program name.
+
+ * @param {{stdin: stream.Readable, stdout: stream.Writable, stderr: stream.Writable}} [io] - Where to read and write (the process's streams by default).
+
+ * @returns {Promise<number>} - The exit status.
+
+ */
+
+function run(args, io = process) {
+  const { stdin, stdout, stderr } = io;
+
+  return Promise.resolve()
+    .then(() => {
+      const { command, puzzles, options } = parseArgs(args);
+
+      if (options.help) {
+        stdout.write(USAGE);
+
+        return 0;
+      }
+
+      if (!COMMANDS.includes(command)) {
+        throw new UsageError(
+          command ? `Unknown command: ${command}` : "No command given",
+        );
+      }
+
+      // JSON output is one object per line; text output is one line per
+      // puzzle, with errors in place so lines still match up with the input
+
+      const write = ({ text, failed, ...fields }) => {
+        stdout.write(
+          options.json
+            ? `${JSON.stringify(fields)}\n`
+            : `${fields.error ? `error: ${fields.error}` : text}\n`,
+        );
+      };
+
+      if (command === "generate") return generate(options, write);
+
+      const solver = solverFor(options);
+
+      const settings = commandOptions(command, options, solver);
+
+      return readPuzzles(puzzles, options.file, stdin).then((list) => {
+        let status = 0;
+
+        list.forEach((puzzle) => {
+          const result = COMMAND_RUNNERS[command](solver, puzzle, settings);
+
+          if (result.error || result.failed) status = 1;
+
+          write({ puzzle, ...result });
+        });
+
+        return status;
+      });
+    })
+    .catch((err) => {
+      if (!(err instanceof UsageError)) throw err;
+
+      stderr.write(`sudoku: ${err.message}\n\n${USAGE}`);
+
+      return 2;
+    });
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    (status) => {
+      process.exitCode = status;
+    },
+
+    (err) => {
+      console.error(err);
+
+      process.exitCode = 1;
+    },
+  );
+}
@@ -0,0 +1,154 @@
+const { SearchTimeoutError } = require("./sudoku-engine.js");
+
+// Largest batch POST /api/solve/batch accepts.
+
+const MAX_BATCH_SIZE = 1000;
+
+// Wall-clock budget for a whole batch; puzzles not reached in time are
+// reported as skipped rather than solved. A puzzle still being solved when
+// the budget runs out is stopped and reported as having taken too long.
+
+const MAX_BATCH_MS = 10000;
+
+// Puzzles solved between two yields to the event loop, so other requests
+// are still served while a large batch runs.
+
+const CHUNK_SIZE = 50;
+
+/**
+
+ * Splits a batch into puzzle strings. Accepts an array of strings or
+ * newline-delimited text; blank lines in text are ignored.
+
+ * @param {string|string[]} puzzles - The batch.
+
+ * @returns {string[]|null} - The puzzle strings, or null if the batch is neither form.
+
+ */
+
+function parseBatch(puzzles) {
+  if (typeof puzzles === "string") {
+    return puzzles
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line !== "");
+  }
+
+  if (Array.isArray(puzzles) && puzzles.every((p) => typeof p === "string")) {
+    return puzzles;
+  }
+
+  return null;
+}
+
+/**
+
+ * Solves a batch of puzzles, one result per puzzle in the same order. Each
+ * result carries either the solution or the error /api/solve would return,
+ * plus how long the puzzle took. No puzzle may take longer than the solver's
+ * own time limit or what is left of the batch's.
+
+ * @param {SudokuSolver} solver - The solver to use.
+
+ * @param {string[]} puzzles - The puzzle strings.
+
+ * @param {{timeLimit?: number}} [options] - Overrides MAX_BATCH_MS.
+
+ * @returns {Promise<{results: Array<Object>, solved: number, failed: number, skipped: number, elapsedMs: number}>} - The results and totals.
+
+ */
+
+function solveBatch(solver, puzzles, options = {}) {
+  const { timeLimit: batchLimit = MAX_BATCH_MS } = options;
+
+  const started = Date.now();
+
+  const results = [];
+
+  const totals = { solved: 0, failed: 0, skipped: 0 };
+
+  const solveChunk = (from) => {
+    const to = Math.min(from + CHUNK_SIZE, puzzles.length);
+
+    for (let index = from; index < to; index++) {
+      if (Date.now() - started > batchLimit) {
+        results.push({ index, error: "Batch time limit exceeded" });
+
+        totals.skipped++;
+
+        continue;
+      }
+
+      const start = process.hrtime.bigint();
+
+      const timeLimit = Math.min(
+        solver.timeLimit,
+
+        started + batchLimit - Date.now(),
+      );
+
+      const result = solveOne(solver, puzzles[index], timeLimit);
+
+      result.ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+      results.push({ index, ...result });
+
+      if (result.solution) {
+        totals.solved++;
+      } else {
+        totals.failed++;
+      }
+    }
+
+    return to;
+  };
+
+  return new Promise((resolve, reject) => {
+    const run = (from) => {
+      let next;
+
+      // Chunks after the first run outside the executor, where a throw
+      // wouldn't reject the promise
+
+      try {
+        next = solveChunk(from);
+      } catch (err) {
+        return reject(err);
+      }
+
+      if (next < puzzles.length) {
+        setImmediate(() => run(next));
+      } else {
+        resolve({ results, ...totals, elapsedMs: Date.now() - started });
+      }
+    };
+
+    run(0);
+  });
+}
+
+function solveOne(solver, puzzle, timeLimit) {
+  const puzzleValidation = solver.validate(puzzle);
+
+  if (!puzzleValidation.valid) {
+    return { error: puzzleValidation.error };
+  }
+
+  let solution;
+
+  try {
+    solution = solver.solve(puzzle, { timeLimit });
+  } catch (err) {
+    if (!(err instanceof SearchTimeoutError)) throw err;
+
+    return { error: "Puzzle took too long to solve" };
+  }
+
+  if (!solution) {
+    return { error: "Puzzle cannot be solved" };
+  }
+
+  return { solution };
+}
+
+module.exports = { MAX_BATCH_SIZE, MAX_BATCH_MS, parseBatch, solveBatch };
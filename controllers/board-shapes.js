@@ -0,0 +1,148 @@
+/**
+
+ * Supported board sizes and the rectangular boxes (rows x columns) each one
+ * is divided into.
+
+ */
+
+const BOX_SHAPES = {
+  4: [2, 2],
+  6: [2, 3],
+  9: [3, 3],
+  12: [3, 4],
+  16: [4, 4],
+  25: [5, 5],
+};
+
+// Digits past 9 continue with letters: 16x16 uses 1-9 then A-G.
+
+const SYMBOLS = "123456789ABCDEFGHIJKLMNOP";
+
+/**
+
+ * Describes an N×N board.
+
+ * @param {number} size - The number of rows (and columns, and digits).
+
+ * @returns {{size: number, boxRows: number, boxCols: number, symbols: string}|null} - The shape, or null if the size isn't supported.
+
+ */
+
+function boardShape(size) {
+  if (!Object.prototype.hasOwnProperty.call(BOX_SHAPES, size)) {
+    return null;
+  }
+
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+
+  return {
+    size: Number(size),
+
+    boxRows,
+
+    boxCols,
+
+    symbols: SYMBOLS.slice(0, size),
+  };
+}
+
+/**
+
+ * Converts a cell index to its coordinate: a row letter followed by a
+ * 1-based column number, e.g. "A1" or "P16".
+
+ * @param {number} cell - The zero-based cell index.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {string} - The coordinate.
+
+ */
+
+function coordinate(cell, size = 9) {
+  return (
+    String.fromCharCode(65 + Math.floor(cell / size)) + ((cell % size) + 1)
+  );
+}
+
+/**
+
+ * Converts a coordinate such as "A1" or "P16" to its cell index.
+
+ * @param {string} coord - The row letter followed by the 1-based column number.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {number|null} - The zero-based cell index, or null if the coordinate is off the board.
+
+ */
+
+function cellIndex(coord, size = 9) {
+  const match = /^([A-Z])([1-9]\d?)$/i.exec(coord);
+
+  if (!match) return null;
+
+  const row = match[1].toUpperCase().charCodeAt(0) - 65;
+
+  const col = parseInt(match[2], 10) - 1;
+
+  if (row >= size || col >= size) return null;
+
+  return row * size + col;
+}
+
+/**
+
+ * Tells whether a group of cells is orthogonally connected.
+
+ * @param {number[]} cells - The cell indexes; at least one.
+
+ * @param {number} size - The board size.
+
+ * @returns {boolean} - True if every cell can be reached from the first.
+
+ */
+
+function isContiguous(cells, size) {
+  const members = new Set(cells);
+
+  const reached = new Set([cells[0]]);
+
+  const queue = [cells[0]];
+
+  while (queue.length > 0) {
+    const cell = queue.shift();
+
+    const row = Math.floor(cell / size);
+
+    const col = cell % size;
+
+    const neighbours = [
+      row > 0 ? cell - size : -1,
+
+      row < size - 1 ? cell + size : -1,
+
+      col > 0 ? cell - 1 : -1,
+
+      col < size - 1 ? cell + 1 : -1,
+    ];
+
+    neighbours.forEach((next) => {
+      if (members.has(next) && !reached.has(next)) {
+        reached.add(next);
+
+        queue.push(next);
+      }
+    });
+  }
+
+  return reached.size === members.size;
+}
+
+module.exports = {
+  BOX_SHAPES,
+  boardShape,
+  coordinate,
+  cellIndex,
+  isContiguous,
+};
@@ -0,0 +1,180 @@
+const { cellIndex, isContiguous } = require("./board-shapes.js");
+
+/**
+
+ * Killer Sudoku cages. A cage is a group of orthogonally connected cells whose
+ * digits can't repeat and must add up to the cage's sum. Cages are written as
+ * JSON, e.g. `[{ "sum": 10, "cells": ["A1", "A2", "B1"] }, ...]`, and must
+ * cover every cell of the board exactly once.
+
+ */
+
+// Listing every digit combination of a cage stops being cheap past 9x9.
+
+const MAX_CAGE_BOARD_SIZE = 9;
+
+/**
+
+ * Validates a cage list for a board size: the shape of each cage, that the
+ * cages cover the board exactly once, that every cage is contiguous and that
+ * every sum, at least 1, can be made from distinct digits.
+
+ * @param {*} cages - The requested cages.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {{valid: boolean, error?: string}} - An object indicating if the cages are valid, and an error message if not.
+
+ */
+
+function validateCages(cages, size = 9) {
+  if (size > MAX_CAGE_BOARD_SIZE) {
+    return {
+      valid: false,
+
+      error: `Cages require a board of ${MAX_CAGE_BOARD_SIZE}x${MAX_CAGE_BOARD_SIZE} or smaller`,
+    };
+  }
+
+  const wellFormed =
+    Array.isArray(cages) &&
+    cages.every(
+      (cage) =>
+        cage !== null &&
+        typeof cage === "object" &&
+        Number.isInteger(cage.sum) &&
+        Array.isArray(cage.cells) &&
+        cage.cells.length > 0 &&
+        cage.cells.every((coord) => cellIndex(coord, size) !== null),
+    );
+
+  if (!wellFormed) {
+    return { valid: false, error: "Invalid cages" };
+  }
+
+  const parsed = cageCells(cages, size);
+
+  const covered = new Array(size * size).fill(0);
+
+  parsed.forEach(({ cells }) => cells.forEach((cell) => covered[cell]++));
+
+  if (covered.some((count) => count !== 1)) {
+    return { valid: false, error: "Cages must cover every cell exactly once" };
+  }
+
+  if (!parsed.every(({ cells }) => isContiguous(cells, size))) {
+    return { valid: false, error: "Cage cells must be contiguous" };
+  }
+
+  if (
+    !parsed.every(
+      ({ sum, cells }) => sum >= 1 && canReachSum(size, 0, cells.length, sum),
+    )
+  ) {
+    return { valid: false, error: "Cage sum cannot be reached" };
+  }
+
+  return { valid: true };
+}
+
+/**
+
+ * Converts cages from their JSON form to cell indexes.
+
+ * @param {Array<{sum: number, cells: string[]}>} cages - Validated cages.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {Array<{sum: number, cells: number[]}>} - The cages.
+
+ */
+
+function cageCells(cages, size = 9) {
+  return cages.map(({ sum, cells }) => ({
+    sum,
+
+    cells: cells.map((coord) => cellIndex(coord, size)),
+  }));
+}
+
+/**
+
+ * Tells whether `count` distinct digits, none of them in `excluded`, can add
+ * up to `sum`.
+
+ * @param {number} size - The board size; digits run from 1 to size.
+
+ * @param {number} excluded - A bitmask of digits that can't be used.
+
+ * @param {number} count - How many digits to pick.
+
+ * @param {number} sum - The total they must reach.
+
+ * @returns {boolean} - True if the sum can be reached.
+
+ */
+
+function canReachSum(size, excluded, count, sum) {
+  // The table below has a column per total, so a sum beyond what the `count`
+  // largest digits make is turned away before it is built
+
+  const largest = count * size - (count * (count - 1)) / 2;
+
+  if (count < 0 || count > size || sum < 0 || sum > largest) return false;
+
+  // reachable[c][s]: some c of the digits seen so far add up to s
+
+  const reachable = Array.from({ length: count + 1 }, () =>
+    new Array(sum + 1).fill(false),
+  );
+
+  reachable[0][0] = true;
+
+  for (let digit = 1; digit <= size; digit++) {
+    if (excluded & (1 << (digit - 1))) continue;
+
+    for (let c = count; c > 0; c--) {
+      for (let s = sum; s >= digit; s--) {
+        if (reachable[c - 1][s - digit]) reachable[c][s] = true;
+      }
+    }
+  }
+
+  return reachable[count][sum];
+}
+
+/**
+
+ * Lists every set of `count` distinct digits that adds up to `sum`.
+
+ * @param {number} size - The board size; digits run from 1 to size.
+
+ * @param {number} count - The number of cells in the cage.
+
+ * @param {number} sum - The cage sum.
+
+ * @returns {number[]} - A digit bitmask per combination.
+
+ */
+
+function sumCombinations(size, count, sum) {
+  const combinations = [];
+
+  const pick = (digit, left, remaining, mask) => {
+    if (left === 0) {
+      if (remaining === 0) combinations.push(mask);
+
+      return;
+    }
+
+    for (let d = digit; d <= size && d <= remaining; d++) {
+      pick(d + 1, left - 1, remaining - d, mask | (1 << (d - 1)));
+    }
+  };
+
+  pick(1, count, sum, 0);
+
+  return combinations;
+}
+
+module.exports = { validateCages, cageCells, canReachSum, sumCombinations };
@@ -0,0 +1,276 @@
+const crypto = require("crypto");
+const SudokuSolver = require("./sudoku-solver.js");
+
+/**
+
+ * A room where several players solve one game together. The game is a
+ * GameSessions game, and every edit goes through GameSessions.move(), so it
+ * gets the same placement checks as a single player's move.
+ *
+ * Edits are applied one at a time, in the order they arrive, and each one
+ * names the room revision its sender had seen. An edit to a cell someone
+ * else has changed since then is refused as stale, and the sender is told
+ * what the cell holds now: the first edit to reach a cell wins, and nobody
+ * overwrites a digit they haven't seen.
+
+ */
+
+class CollaborationRoom {
+  /**
+
+   * @param {string} name - The room name.
+
+   * @param {GameSessions} games - Where the room's game is kept, pinned while the room is open.
+
+   * @param {Object} game - The game, as GameSessions returns it.
+
+   */
+
+  constructor(name, games, game) {
+    this.name = name;
+
+    this.games = games;
+
+    this.gameId = game.id;
+
+    games.pin(game.id);
+
+    this.solver = new SudokuSolver(game.board);
+
+    this.players = new Map();
+
+    // Bumped by every edit; `changedAt` has the revision that last changed
+    // each cell, by coordinate
+
+    this.revision = 0;
+
+    this.changedAt = {};
+
+    this.editing = Promise.resolve();
+  }
+
+  /**
+
+   * Opens a room on a new game.
+
+   * @param {string} name - The room name.
+
+   * @param {GameSessions} games - Where to keep the game.
+
+   * @param {{puzzle: string, board?: Object}} fields - The puzzle, and the SudokuSolver options for its board.
+
+   * @returns {Promise<{room?: CollaborationRoom, error?: string}>} - The room, or an error.
+
+   */
+
+  static open(name, games, fields) {
+    return games
+      .start(fields)
+      .then(({ game, error }) =>
+        error ? { error } : { room: new CollaborationRoom(name, games, game) },
+      );
+  }
+
+  /**
+
+   * Adds a player.
+
+   * @param {string} [name] - What to call the player.
+
+   * @returns {{id: string, name: string, cursor: null}} - The player.
+
+   */
+
+  join(name = "") {
+    const player = {
+      id: crypto.randomUUID(),
+
+      name: String(name).slice(0, 40),
+
+      cursor: null,
+    };
+
+    this.players.set(player.id, player);
+
+    return { ...player };
+  }
+
+  leave(id) {
+    this.players.delete(id);
+  }
+
+  isEmpty() {
+    return this.players.size === 0;
+  }
+
+  /**
+
+   * Closes the room, unpinning and removing its game.
+
+   * @returns {Promise<boolean>} - Whether the game was still there.
+
+   */
+
+  close() {
+    this.games.unpin(this.gameId);
+
+    return this.games.remove(this.gameId);
+  }
+
+  /**
+
+   * Everything a player needs to catch up: the game, the revision it is at,
+   * and who else is in the room and where.
+
+   * @returns {Promise<{room: string, revision: number, game: Object, players: Object[]}>} - The room's state.
+
+   */
+
+  state() {
+    return this.games.get(this.gameId).then((game) => ({
+      room: this.name,
+
+      revision: this.revision,
+
+      game,
+
+      players: [...this.players.values()].map((player) => ({ ...player })),
+    }));
+  }
+
+  /**
+
+   * Moves a player's cursor.
+
+   * @param {string} id - The player id.
+
+   * @param {string|null} coordinate - The cell, or null when the player has left the board.
+
+   * @returns {{coordinate?: string|null, error?: string}} - The cursor's cell, or an error.
+
+   */
+
+  moveCursor(id, coordinate) {
+    let cursor = null;
+
+    if (coordinate !== null) {
+      const cell = this.solver.parseCoordinate(coordinate);
+
+      if (!cell) return { error: "Invalid coordinate" };
+
+      cursor = `${cell.row}${cell.column}`;
+    }
+
+    this.players.get(id).cursor = cursor;
+
+    return { coordinate: cursor };
+  }
+
+  /**
+
+   * Applies a player's edit: a GameSessions move plus the revision the player
+   * had seen.
+
+   * @param {string} id - The player id.
+
+   * @param {{action?: string, coordinate: string, value?: string, revision: number}} edit - The move and the revision.
+
+   * @returns {Promise<{applied?: Object, rejected?: Object, error?: string}>} - The edit as everyone should see it; or, for the sender only, why it was refused and the cell as it is; or an error.
+
+   */
+
+  edit(id, { action, coordinate, value, revision }) {
+    const task = () => {
+      if (!Number.isInteger(revision) || revision < 0) {
+        return { error: "Invalid revision" };
+      }
+
+      const cell = this.solver.parseCoordinate(coordinate);
+
+      if (!cell) return { error: "Invalid coordinate" };
+
+      const key = `${cell.row}${cell.column}`;
+
+      if ((this.changedAt[key] || 0) > revision) {
+        return this.games.get(this.gameId).then((game) => ({
+          rejected: {
+            reason: "stale",
+
+            coordinate: key,
+
+            cell: this.cellOf(game, key),
+
+            revision: this.revision,
+          },
+        }));
+      }
+
+      return this.games
+        .move(this.gameId, { action, coordinate: key, value })
+        .then((result) => {
+          if (result.error) return { error: result.error };
+
+          const { game } = result;
+
+          if (!result.valid) {
+            return {
+              rejected: {
+                reason: "conflict",
+
+                coordinate: key,
+
+                conflict: result.conflict,
+
+                cell: this.cellOf(game, key),
+
+                mistakes: game.mistakes,
+
+                revision: this.revision,
+              },
+            };
+          }
+
+          this.revision++;
+
+          this.changedAt[key] = this.revision;
+
+          const { at, ...move } = game.moves[game.moves.length - 1];
+
+          return {
+            applied: {
+              player: id,
+
+              revision: this.revision,
+
+              ...move,
+
+              cell: this.cellOf(game, key),
+
+              mistakes: game.mistakes,
+
+              complete: game.complete,
+            },
+          };
+        });
+    };
+
+    this.editing = this.editing.then(task, task);
+
+    return this.editing;
+  }
+
+  // A cell's digit ("." when empty) and pencil marks
+
+  cellOf(game, key) {
+    const { row, column } = this.solver.parseCoordinate(key);
+
+    const index =
+      this.solver.letterToNumber(row) * this.solver.size +
+      parseInt(column, 10) -
+      1;
+
+    return { value: game.grid[index], marks: game.marks[key] || [] };
+  }
+}
+
+module.exports = CollaborationRoom;
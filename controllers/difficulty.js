@@ -0,0 +1,78 @@
+/**
+
+ * Difficulty tiers, from easiest to hardest.
+
+ */
+
+const TIERS = ["easy", "medium", "hard", "expert", "diabolical"];
+
+/**
+
+ * How hard each logical technique is, and the tier a puzzle lands in when it
+ * is the hardest technique needed. A `guess` stands for any move the logical
+ * solver could not justify.
+
+ */
+
+const TECHNIQUE_RATINGS = {
+  "hidden-single": { weight: 1, tier: "easy" },
+  "naked-single": { weight: 2, tier: "easy" },
+  "pointing-pair": { weight: 4, tier: "medium" },
+  "box-line-reduction": { weight: 4, tier: "medium" },
+  "naked-pair": { weight: 6, tier: "hard" },
+  "hidden-pair": { weight: 8, tier: "hard" },
+  "naked-triple": { weight: 10, tier: "hard" },
+  "hidden-triple": { weight: 12, tier: "hard" },
+  "x-wing": { weight: 15, tier: "expert" },
+  "xy-wing": { weight: 18, tier: "expert" },
+  swordfish: { weight: 20, tier: "expert" },
+  guess: { weight: 40, tier: "diabolical" },
+};
+
+/**
+
+ * Grades the steps of a logical solve. The score adds up the weight of every
+ * step and ten times the weight of the hardest technique, so the hardest
+ * technique dominates and the number of moves breaks ties within a tier.
+
+ * @param {Array<{technique: string}>} steps - The steps returned by LogicalSolver.
+
+ * @returns {{tier: string, score: number, hardest: string|null, guessing: boolean, techniques: Object<string, number>}} - The rating.
+
+ */
+
+function grade(steps) {
+  const techniques = {};
+
+  let hardest = null;
+
+  let score = 0;
+
+  steps.forEach(({ technique }) => {
+    const { weight } = TECHNIQUE_RATINGS[technique];
+
+    techniques[technique] = (techniques[technique] || 0) + 1;
+
+    score += weight;
+
+    if (!hardest || weight > TECHNIQUE_RATINGS[hardest].weight) {
+      hardest = technique;
+    }
+  });
+
+  if (hardest) score += TECHNIQUE_RATINGS[hardest].weight * 10;
+
+  return {
+    tier: hardest ? TECHNIQUE_RATINGS[hardest].tier : TIERS[0],
+
+    score,
+
+    hardest,
+
+    guessing: Boolean(techniques.guess),
+
+    techniques,
+  };
+}
+
+module.exports = { TIERS, TECHNIQUE_RATINGS, grade };
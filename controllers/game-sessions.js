@@ -0,0 +1,495 @@
+const crypto = require("crypto");
+const SudokuSolver = require("./sudoku-solver.js");
+const { SearchTimeoutError } = require("./sudoku-engine.js");
+const { coordinate } = require("./board-shapes.js");
+
+/**
+
+ * Games in progress. A game keeps the puzzle and the board it is played on,
+ * the player's grid and pencil marks, every move made so far (so they can be
+ * undone), how many moves broke the rules, and when it was started and
+ * finished. Games live in a backend from library-stores.js.
+ *
+ * Games don't stay forever: a completed game expires after an hour, one in
+ * progress after a day untouched, and when a new game would take the store
+ * over its limit, completed games make room first, then the ones left
+ * longest. An expired game is removed when it is next looked up or a game is
+ * started, whichever comes first, and can't be found in the meantime.
+ * Pinned games, such as those of open collaboration rooms, never expire or
+ * make room.
+
+ */
+
+const ACTIONS = ["place", "erase", "mark", "unmark"];
+
+// How long, in milliseconds, a completed game is kept and a game in
+// progress may go untouched, and how many games are kept
+
+const COMPLETED_TIME = 60 * 60 * 1000;
+
+const IDLE_TIME = 24 * 60 * 60 * 1000;
+
+const MAX_GAMES = 10000;
+
+class GameSessions {
+  /**
+
+   * @param {Object} store - A backend from library-stores.js.
+
+   * @param {{now?: function(): number, timeLimit?: number, completedTime?: number, idleTime?: number, maxGames?: number}} [options] - The clock, in milliseconds (Date.now by default), how long checking that a new puzzle has a solution may take (no limit by default), how long a completed game is kept (an hour by default), how long a game in progress may go untouched (a day by default), and how many games are kept (10000 by default).
+
+   */
+
+  constructor(store, options = {}) {
+    const {
+      now = Date.now,
+      timeLimit = Infinity,
+      completedTime = COMPLETED_TIME,
+      idleTime = IDLE_TIME,
+      maxGames = MAX_GAMES,
+    } = options;
+
+    this.store = store;
+
+    this.now = now;
+
+    this.timeLimit = timeLimit;
+
+    this.completedTime = completedTime;
+
+    this.idleTime = idleTime;
+
+    this.maxGames = maxGames;
+
+    // When each game was last changed and whether it is complete, by id;
+    // read from the store on first use
+
+    this.activity = null;
+
+    this.tracking = null;
+
+    // The ids of the games that are kept whatever their age
+
+    this.pinned = new Set();
+
+    // Changes run one at a time, so two moves sent together can't both start
+    // from the same state
+
+    this.changing = Promise.resolve();
+  }
+
+  queue(task) {
+    this.changing = this.changing.then(task, task);
+
+    return this.changing;
+  }
+
+  /**
+
+   * Starts a game. The puzzle must be valid and have a solution.
+
+   * @param {{puzzle: string, board?: Object}} fields - The puzzle, and the SudokuSolver options for its board.
+
+   * @returns {Promise<{game?: Object, error?: string}>} - The new game, or an error.
+
+   */
+
+  start({ puzzle, board = {} }) {
+    const solver = new SudokuSolver(board);
+
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return Promise.resolve({ error: puzzleValidation.error });
+    }
+
+    let solution;
+
+    try {
+      solution = solver.solve(puzzle, { timeLimit: this.timeLimit });
+    } catch (err) {
+      if (!(err instanceof SearchTimeoutError)) throw err;
+
+      return Promise.resolve({ error: "Puzzle took too long to solve" });
+    }
+
+    if (!solution) {
+      return Promise.resolve({ error: "Puzzle cannot be solved" });
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+
+      puzzle,
+
+      board,
+
+      grid: puzzle,
+
+      marks: {},
+
+      moves: [],
+
+      mistakes: 0,
+
+      startedAt: new Date(this.now()).toISOString(),
+
+      completedAt: null,
+    };
+
+    return this.queue(() =>
+      this.prune().then(() => this.save(entry).then((game) => ({ game }))),
+    );
+  }
+
+  whenTracked() {
+    if (!this.tracking) {
+      this.tracking = this.store.list().then(
+        (entries) => {
+          this.activity = new Map(
+            entries.map((entry) => [entry.id, lastActivity(entry)]),
+          );
+        },
+
+        (err) => {
+          this.tracking = null;
+
+          throw err;
+        },
+      );
+    }
+
+    return this.tracking;
+  }
+
+  // Removes the games kept too long and, if the store is full, enough
+  // others to make room for one more: completed games first, then the ones
+  // left longest
+
+  prune() {
+    return this.whenTracked().then(() => {
+      const expired = ([, activity]) => this.hasExpired(activity);
+
+      const games = [...this.activity].filter(([id]) => !this.pinned.has(id));
+
+      let removed = games.filter(expired);
+
+      const excess = this.activity.size - removed.length - this.maxGames + 1;
+
+      if (excess > 0) {
+        const kept = games
+          .filter((game) => !expired(game))
+          .sort(
+            ([, a], [, b]) =>
+              Number(b.complete) - Number(a.complete) || a.at - b.at,
+          );
+
+        removed = removed.concat(kept.slice(0, excess));
+      }
+
+      return Promise.all(removed.map(([id]) => this.discard(id)));
+    });
+  }
+
+  hasExpired({ at, complete }) {
+    return this.now() - at > (complete ? this.completedTime : this.idleTime);
+  }
+
+  // Reads a game from the store, removing it instead if it has expired
+
+  fetch(id) {
+    return this.store.get(id).then((entry) => {
+      if (!entry || this.pinned.has(id)) return entry;
+
+      const activity =
+        (this.activity && this.activity.get(id)) || lastActivity(entry);
+
+      if (!this.hasExpired(activity)) return entry;
+
+      return this.discard(id).then(() => null);
+    });
+  }
+
+  discard(id) {
+    return this.store.remove(id).then((removed) => {
+      if (this.activity) this.activity.delete(id);
+
+      return removed;
+    });
+  }
+
+  /**
+
+   * Looks up a game.
+
+   * @param {string} id - The game id.
+
+   * @returns {Promise<Object|null>} - The game, or null if there is none or it has expired.
+
+   */
+
+  get(id) {
+    return this.fetch(id).then((entry) => (entry ? this.view(entry) : null));
+  }
+
+  /**
+
+   * Makes a move: places a digit, erases a cell, or adds or removes a pencil
+   * mark. A digit goes through the same placement checks as /api/check; one
+   * that breaks a rule isn't placed and counts as a mistake.
+
+   * @param {string} id - The game id.
+
+   * @param {{action?: string, coordinate: string, value?: string}} move - The action ("place" by default), the cell, and the digit placed or marked.
+
+   * @returns {Promise<{valid?: boolean, conflict?: string[], game?: Object, error?: string}>} - Whether the move was made, the rules a refused digit breaks, and the game; or an error.
+
+   */
+
+  move(id, { action = "place", coordinate: target, value }) {
+    if (!ACTIONS.includes(action)) {
+      return Promise.resolve({ error: "Invalid action" });
+    }
+
+    return this.queue(() =>
+      this.fetch(id).then((entry) => {
+        const checked = this.checkMove(entry);
+
+        if (checked.error) return checked;
+
+        const { solver } = checked;
+
+        const cell = solver.parseCoordinate(target);
+
+        if (!cell) return { error: "Invalid coordinate" };
+
+        const { row, column } = cell;
+
+        const index = cellIndex(solver, cell);
+
+        const digit = String(value || "").toUpperCase();
+
+        if (
+          action !== "erase" &&
+          (digit.length !== 1 || !solver.symbols.includes(digit))
+        ) {
+          return { error: "Invalid value" };
+        }
+
+        if (entry.puzzle[index] !== ".") {
+          return { error: "Cannot change a given" };
+        }
+
+        const key = coordinate(index, solver.size);
+
+        const before = {
+          value: entry.grid[index],
+
+          marks: entry.marks[key] || [],
+        };
+
+        if (action.endsWith("mark") && before.value !== ".") {
+          return { error: "Cell already has a digit" };
+        }
+
+        if (action === "place") {
+          const blanked =
+            entry.grid.slice(0, index) + "." + entry.grid.slice(index + 1);
+
+          const conflict = solver.placementConflicts(
+            blanked,
+
+            row,
+
+            column,
+
+            digit,
+          );
+
+          if (conflict.length > 0) {
+            return this.save({ ...entry, mistakes: entry.mistakes + 1 }).then(
+              (game) => ({ valid: false, conflict, game }),
+            );
+          }
+        }
+
+        const after = {
+          place: { value: digit, marks: [] },
+
+          erase: { value: ".", marks: [] },
+
+          mark: {
+            value: ".",
+
+            marks: [...new Set([...before.marks, digit])].sort(),
+          },
+
+          unmark: {
+            value: ".",
+
+            marks: before.marks.filter((mark) => mark !== digit),
+          },
+        }[action];
+
+        const move = { action, coordinate: key, before };
+
+        if (action !== "erase") move.value = digit;
+
+        move.at = new Date(this.now()).toISOString();
+
+        const changed = setCell(entry, index, key, after);
+
+        changed.moves = [...entry.moves, move];
+
+        if (!changed.grid.includes(".")) {
+          changed.completedAt = move.at;
+        }
+
+        return this.save(changed).then((game) => ({ valid: true, game }));
+      }),
+    );
+  }
+
+  /**
+
+   * Takes back the last move.
+
+   * @param {string} id - The game id.
+
+   * @returns {Promise<{game?: Object, error?: string}>} - The game, or an error.
+
+   */
+
+  undo(id) {
+    return this.queue(() =>
+      this.fetch(id).then((entry) => {
+        const checked = this.checkMove(entry);
+
+        if (checked.error) return checked;
+
+        if (entry.moves.length === 0) return { error: "Nothing to undo" };
+
+        const { coordinate: key, before } = entry.moves[entry.moves.length - 1];
+
+        const { solver } = checked;
+
+        const index = cellIndex(solver, solver.parseCoordinate(key));
+
+        const changed = setCell(entry, index, key, before);
+
+        changed.moves = entry.moves.slice(0, -1);
+
+        return this.save(changed).then((game) => ({ game }));
+      }),
+    );
+  }
+
+  /**
+
+   * Removes a game.
+
+   * @param {string} id - The game id.
+
+   * @returns {Promise<boolean>} - Whether there was such a game.
+
+   */
+
+  remove(id) {
+    return this.queue(() => this.discard(id));
+  }
+
+  /**
+
+   * Keeps a game, however long it is left untouched, until it is unpinned.
+
+   * @param {string} id - The game id.
+
+   */
+
+  pin(id) {
+    this.pinned.add(id);
+  }
+
+  unpin(id) {
+    this.pinned.delete(id);
+  }
+
+  // A game can only be changed while it is in progress
+
+  checkMove(entry) {
+    if (!entry) return { error: "Game not found" };
+
+    if (entry.completedAt) return { error: "Game is already complete" };
+
+    return { solver: new SudokuSolver(entry.board) };
+  }
+
+  save(entry) {
+    return this.store.put(entry).then((stored) => {
+      if (this.activity) {
+        this.activity.set(stored.id, {
+          at: this.now(),
+
+          complete: stored.completedAt !== null,
+        });
+      }
+
+      return this.view(stored);
+    });
+  }
+
+  // What players see of a game: the moves without the state they replaced,
+  // and the time played so far, in seconds
+
+  view(entry) {
+    const { moves, startedAt, completedAt } = entry;
+
+    const end = completedAt ? Date.parse(completedAt) : this.now();
+
+    return {
+      ...entry,
+
+      moves: moves.map(({ before, ...move }) => move),
+
+      elapsed: Math.floor((end - Date.parse(startedAt)) / 1000),
+
+      complete: completedAt !== null,
+    };
+  }
+}
+
+function cellIndex(solver, { row, column }) {
+  return solver.letterToNumber(row) * solver.size + parseInt(column, 10) - 1;
+}
+
+// When a game read from the store was last changed: the last move or, if
+// there are none, the start (a refused digit isn't recorded as a move, so
+// it may have been later)
+
+function lastActivity({ moves, startedAt, completedAt }) {
+  const { at } = moves[moves.length - 1] || { at: startedAt };
+
+  return { at: Date.parse(at), complete: completedAt !== null };
+}
+
+// A copy of the game with one cell's digit and pencil marks replaced
+
+function setCell(entry, index, key, { value, marks }) {
+  const changed = {
+    ...entry,
+
+    grid: entry.grid.slice(0, index) + value + entry.grid.slice(index + 1),
+
+    marks: { ...entry.marks },
+  };
+
+  if (marks.length > 0) {
+    changed.marks[key] = marks;
+  } else {
+    delete changed.marks[key];
+  }
+
+  return changed;
+}
+
+module.exports = GameSessions;
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+
+ * Storage backends for the puzzle library. A backend keeps library entries
+ * by their `id` and only has to provide four methods, each returning a
+ * Promise:
+ *
+ * - list(): every entry
+ * - get(id): the entry, or null
+ * - put(entry): inserts or replaces the entry with that id
+ * - remove(id): deletes the entry, resolving to true if there was one
+ *
+ * Entries are plain JSON-serialisable objects; backends return copies, so a
+ * caller can't change a stored entry by mutating what it got back.
+
+ */
+
+const copy = (entry) => JSON.parse(JSON.stringify(entry));
+
+// Keeps entries for the life of the process; for tests and throwaway servers
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  list() {
+    return Promise.resolve([...this.entries.values()].map(copy));
+  }
+
+  get(id) {
+    const entry = this.entries.get(id);
+
+    return Promise.resolve(entry ? copy(entry) : null);
+  }
+
+  put(entry) {
+    this.entries.set(entry.id, copy(entry));
+
+    return Promise.resolve(copy(entry));
+  }
+
+  remove(id) {
+    return Promise.resolve(this.entries.delete(id));
+  }
+}
+
+/**
+
+ * Keeps entries in memory and writes them all to a JSON file after every
+ * change. The file is read on first use; writes go through a temporary file
+ * and a rename, one at a time, so a crash can't leave it half written.
+
+ */
+
+class JsonFileStore extends MemoryStore {
+  constructor(file) {
+    super();
+
+    this.file = file;
+
+    this.loaded = null;
+
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.promises
+        .readFile(this.file, "utf8")
+        .then(
+          (text) => JSON.parse(text),
+
+          (err) => {
+            if (err.code === "ENOENT") return [];
+
+            throw err;
+          },
+        )
+        .then((entries) => {
+          entries.forEach((entry) => this.entries.set(entry.id, entry));
+        });
+    }
+
+    return this.loaded;
+  }
+
+  save() {
+    const text = JSON.stringify([...this.entries.values()], null, 2);
+
+    const temporary = `${this.file}.tmp`;
+
+    const write = () =>
+      fs.promises
+        .mkdir(path.dirname(this.file), { recursive: true })
+        .then(() => fs.promises.writeFile(temporary, text))
+        .then(() => fs.promises.rename(temporary, this.file));
+
+    // A failed write is reported to its caller but doesn't block later ones
+
+    this.writing = this.writing.then(write, write);
+
+    return this.writing;
+  }
+
+  list() {
+    return this.load().then(() => super.list());
+  }
+
+  get(id) {
+    return this.load().then(() => super.get(id));
+  }
+
+  put(entry) {
+    return this.load()
+      .then(() => super.put(entry))
+      .then((stored) => this.save().then(() => stored));
+  }
+
+  remove(id) {
+    return this.load()
+      .then(() => super.remove(id))
+      .then((removed) =>
+        (removed ? this.save() : Promise.resolve()).then(() => removed),
+      );
+  }
+}
+
+/**
+
+ * Creates the backend a location names: "memory", or the path of a JSON
+ * file.
+
+ * @param {string} location - "memory" or a file path.
+
+ * @returns {MemoryStore|JsonFileStore} - The backend.
+
+ */
+
+function createStore(location) {
+  return location === "memory"
+    ? new MemoryStore()
+    : new JsonFileStore(location);
+}
+
+module.exports = { MemoryStore, JsonFileStore, createStore };
@@ -0,0 +1,732 @@
+const { candidateMasks } = require("./sudoku-engine.js");
+
+const ROW_LETTERS = "ABCDEFGHI";
+
+const ALL_DIGITS = 0x1ff;
+
+/**
+
+ * Every row, column and box of the grid, as lists of cell indices (0-80).
+
+ */
+
+const UNITS = buildUnits();
+
+const PEERS = buildPeers();
+
+/**
+
+ * The techniques the solver knows, from easiest to hardest. On every step the
+ * solver applies the first technique that makes progress, so a puzzle is
+ * always explained with the simplest moves available.
+
+ */
+
+const TECHNIQUES = [
+  { name: "hidden-single", find: findHiddenSingle },
+  { name: "naked-single", find: findNakedSingle },
+  { name: "pointing-pair", find: findPointingPair },
+  { name: "box-line-reduction", find: findBoxLineReduction },
+  { name: "naked-pair", find: (state) => findNakedSubset(state, 2) },
+  { name: "hidden-pair", find: (state) => findHiddenSubset(state, 2) },
+  { name: "naked-triple", find: (state) => findNakedSubset(state, 3) },
+  { name: "hidden-triple", find: (state) => findHiddenSubset(state, 3) },
+  { name: "x-wing", find: (state) => findFish(state, 2) },
+  { name: "swordfish", find: (state) => findFish(state, 3) },
+  { name: "xy-wing", find: findXYWing },
+];
+
+class LogicalSolver {
+  /**
+
+   * Solves a puzzle using human techniques only, recording every move.
+   * When `options.solution` is given and the techniques run out, the solver
+   * "guesses" by revealing that solution's digit in the emptiest cell, records
+   * a `guess` step and carries on.
+
+   * @param {string} puzzleString - The 81-character puzzle string.
+
+   * @param {{solution?: string}} [options] - The known solution to guess from.
+
+   * @returns {{solved: boolean, puzzle: string, steps: Array<Object>}} - Whether the techniques were enough, the grid they reached and the ordered steps.
+
+   */
+
+  solve(puzzleString, options = {}) {
+    const state = createState(puzzleString);
+
+    const steps = [];
+
+    let step = nextMove(state, options);
+
+    while (step) {
+      applyStep(state, step);
+
+      steps.push(formatStep(step));
+
+      step = nextMove(state, options);
+    }
+
+    return {
+      solved: !state.values.includes(0),
+
+      puzzle: state.values.map((v) => (v ? v.toString() : ".")).join(""),
+
+      steps,
+    };
+  }
+
+  /**
+
+   * Finds the next digit a player can place, along with the steps (usually
+   * eliminations) needed to justify it. Takes the same options as solve().
+
+   * @param {string} puzzleString - The 81-character puzzle string.
+
+   * @param {{solution?: string}} [options] - The known solution to guess from.
+
+   * @returns {{cell: string, value: string, technique: string, unit: string, steps: Array<Object>}|null} - The move, or null if the grid is full or no move can be justified.
+
+   */
+
+  hint(puzzleString, options = {}) {
+    const state = createState(puzzleString);
+
+    const steps = [];
+
+    let step = nextMove(state, options);
+
+    while (step) {
+      applyStep(state, step);
+
+      steps.push(formatStep(step));
+
+      if (step.placement) {
+        const { cell, value } = step.placement;
+
+        return {
+          cell: coordinate(cell),
+
+          value: value.toString(),
+
+          technique: step.technique,
+
+          unit: step.unit || `box ${boxOf(cell) + 1}`,
+
+          steps,
+        };
+      }
+
+      step = nextMove(state, options);
+    }
+
+    return null;
+  }
+}
+
+/**
+
+ * Converts a cell index (0-80) to its A1-I9 coordinate.
+
+ */
+
+function coordinate(cell) {
+  return ROW_LETTERS[Math.floor(cell / 9)] + ((cell % 9) + 1);
+}
+
+function bit(digit) {
+  return 1 << (digit - 1);
+}
+
+function digitsOf(mask) {
+  const digits = [];
+
+  for (let d = 1; d <= 9; d++) {
+    if (mask & bit(d)) digits.push(d);
+  }
+
+  return digits;
+}
+
+function countBits(mask) {
+  let count = 0;
+
+  while (mask) {
+    mask &= mask - 1;
+
+    count++;
+  }
+
+  return count;
+}
+
+/**
+
+ * Returns every k-element combination of `items`, preserving order.
+
+ */
+
+function combinations(items, k) {
+  if (k === 0) return [[]];
+
+  const result = [];
+
+  for (let i = 0; i <= items.length - k; i++) {
+    combinations(items.slice(i + 1), k - 1).forEach((rest) => {
+      result.push([items[i], ...rest]);
+    });
+  }
+
+  return result;
+}
+
+function buildUnits() {
+  const units = [];
+
+  for (let r = 0; r < 9; r++) {
+    const cells = [];
+
+    for (let c = 0; c < 9; c++) cells.push(r * 9 + c);
+
+    units.push({ type: "row", index: r, name: `row ${ROW_LETTERS[r]}`, cells });
+  }
+
+  for (let c = 0; c < 9; c++) {
+    const cells = [];
+
+    for (let r = 0; r < 9; r++) cells.push(r * 9 + c);
+
+    units.push({ type: "column", index: c, name: `column ${c + 1}`, cells });
+  }
+
+  for (let b = 0; b < 9; b++) {
+    const cells = [];
+
+    const startRow = Math.floor(b / 3) * 3;
+
+    const startCol = (b % 3) * 3;
+
+    for (let r = startRow; r < startRow + 3; r++) {
+      for (let c = startCol; c < startCol + 3; c++) cells.push(r * 9 + c);
+    }
+
+    units.push({ type: "box", index: b, name: `box ${b + 1}`, cells });
+  }
+
+  return units;
+}
+
+function buildPeers() {
+  const peers = [];
+
+  for (let cell = 0; cell < 81; cell++) {
+    const set = new Set();
+
+    UNITS.forEach((unit) => {
+      if (unit.cells.includes(cell)) {
+        unit.cells.forEach((other) => {
+          if (other !== cell) set.add(other);
+        });
+      }
+    });
+
+    peers.push(set);
+  }
+
+  return peers;
+}
+
+function boxOf(cell) {
+  return Math.floor(cell / 27) * 3 + Math.floor((cell % 9) / 3);
+}
+
+/**
+
+ * Builds the solving state: placed values (0 for empty) and a candidate
+ * bitmask for every empty cell.
+
+ */
+
+function createState(puzzleString) {
+  const values = [];
+
+  for (let i = 0; i < 81; i++) {
+    values.push(puzzleString[i] === "." ? 0 : parseInt(puzzleString[i], 10));
+  }
+
+  const candidates = candidateMasks(puzzleString);
+
+  return { values, candidates };
+}
+
+function nextStep(state) {
+  if (!state.values.includes(0)) return null;
+
+  for (const technique of TECHNIQUES) {
+    const step = technique.find(state);
+
+    if (step) return { technique: technique.name, ...step };
+  }
+
+  return null;
+}
+
+/**
+
+ * The next logical step, falling back to a guess from `options.solution`.
+
+ */
+
+function nextMove(state, options) {
+  return (
+    nextStep(state) ||
+    (options.solution ? findGuess(state, options.solution) : null)
+  );
+}
+
+function applyStep(state, step) {
+  if (step.placement) {
+    const { cell, value } = step.placement;
+
+    state.values[cell] = value;
+
+    state.candidates[cell] = 0;
+
+    PEERS[cell].forEach((peer) => {
+      state.candidates[peer] &= ~bit(value);
+    });
+  }
+
+  step.eliminations.forEach(([cell, digit]) => {
+    state.candidates[cell] &= ~bit(digit);
+  });
+}
+
+/**
+
+ * Converts a step's cell indices to coordinates and digits to strings, the
+ * same notation /api/check uses.
+
+ */
+
+function formatStep(step) {
+  const formatted = {
+    technique: step.technique,
+
+    cells: step.cells.map(coordinate),
+
+    digits: step.digits.map(String),
+  };
+
+  if (step.unit) formatted.unit = step.unit;
+
+  if (step.placement) {
+    formatted.placement = {
+      cell: coordinate(step.placement.cell),
+
+      value: step.placement.value.toString(),
+    };
+  }
+
+  formatted.eliminations = step.eliminations.map(([cell, digit]) => ({
+    cell: coordinate(cell),
+
+    value: digit.toString(),
+  }));
+
+  return formatted;
+}
+
+function emptyCells(state, cells) {
+  return cells.filter((cell) => !state.values[cell]);
+}
+
+/**
+
+ * Collects the (cell, digit) eliminations of `digitMask` from `cells`,
+ * skipping digits the cells no longer have as candidates.
+
+ */
+
+function eliminationsFrom(state, cells, digitMask) {
+  const eliminations = [];
+
+  cells.forEach((cell) => {
+    digitsOf(state.candidates[cell] & digitMask).forEach((digit) => {
+      eliminations.push([cell, digit]);
+    });
+  });
+
+  return eliminations;
+}
+
+function findHiddenSingle(state) {
+  for (const unit of UNITS) {
+    const empty = emptyCells(state, unit.cells);
+
+    for (let d = 1; d <= 9; d++) {
+      const spots = empty.filter((cell) => state.candidates[cell] & bit(d));
+
+      if (spots.length === 1) {
+        return {
+          cells: spots,
+
+          digits: [d],
+
+          unit: unit.name,
+
+          placement: { cell: spots[0], value: d },
+
+          eliminations: [],
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+function findNakedSingle(state) {
+  for (let cell = 0; cell < 81; cell++) {
+    if (!state.values[cell] && countBits(state.candidates[cell]) === 1) {
+      const [digit] = digitsOf(state.candidates[cell]);
+
+      return {
+        cells: [cell],
+
+        digits: [digit],
+
+        placement: { cell, value: digit },
+
+        eliminations: [],
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+
+ * A digit confined to one row or column inside a box can be removed from the
+ * rest of that row or column.
+
+ */
+
+function findPointingPair(state) {
+  for (const box of UNITS.filter((unit) => unit.type === "box")) {
+    const empty = emptyCells(state, box.cells);
+
+    for (let d = 1; d <= 9; d++) {
+      const spots = empty.filter((cell) => state.candidates[cell] & bit(d));
+
+      if (spots.length < 2) continue;
+
+      const lines = UNITS.filter(
+        (unit) =>
+          unit.type !== "box" &&
+          spots.every((cell) => unit.cells.includes(cell)),
+      );
+
+      for (const line of lines) {
+        const others = emptyCells(state, line.cells).filter(
+          (cell) => !box.cells.includes(cell),
+        );
+
+        const eliminations = eliminationsFrom(state, others, bit(d));
+
+        if (eliminations.length) {
+          return { cells: spots, digits: [d], unit: box.name, eliminations };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+
+ * A digit confined to one box inside a row or column can be removed from the
+ * rest of that box.
+
+ */
+
+function findBoxLineReduction(state) {
+  for (const line of UNITS.filter((unit) => unit.type !== "box")) {
+    const empty = emptyCells(state, line.cells);
+
+    for (let d = 1; d <= 9; d++) {
+      const spots = empty.filter((cell) => state.candidates[cell] & bit(d));
+
+      if (spots.length < 2) continue;
+
+      const box = boxOf(spots[0]);
+
+      if (!spots.every((cell) => boxOf(cell) === box)) continue;
+
+      const others = emptyCells(state, UNITS[18 + box].cells).filter(
+        (cell) => !line.cells.includes(cell),
+      );
+
+      const eliminations = eliminationsFrom(state, others, bit(d));
+
+      if (eliminations.length) {
+        return { cells: spots, digits: [d], unit: line.name, eliminations };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+
+ * `size` cells of a unit whose candidates are limited to `size` digits; those
+ * digits can be removed from the unit's other cells.
+
+ */
+
+function findNakedSubset(state, size) {
+  for (const unit of UNITS) {
+    const empty = emptyCells(state, unit.cells);
+
+    const pool = empty.filter((cell) => {
+      const count = countBits(state.candidates[cell]);
+
+      return count >= 2 && count <= size;
+    });
+
+    for (const subset of combinations(pool, size)) {
+      const mask = subset.reduce((m, cell) => m | state.candidates[cell], 0);
+
+      if (countBits(mask) !== size) continue;
+
+      const others = empty.filter((cell) => !subset.includes(cell));
+
+      const eliminations = eliminationsFrom(state, others, mask);
+
+      if (eliminations.length) {
+        return {
+          cells: subset,
+
+          digits: digitsOf(mask),
+
+          unit: unit.name,
+
+          eliminations,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+
+ * `size` digits that only fit in the same `size` cells of a unit; every other
+ * candidate can be removed from those cells.
+
+ */
+
+function findHiddenSubset(state, size) {
+  for (const unit of UNITS) {
+    const empty = emptyCells(state, unit.cells);
+
+    const positions = {};
+
+    const pool = [];
+
+    for (let d = 1; d <= 9; d++) {
+      positions[d] = empty.filter((cell) => state.candidates[cell] & bit(d));
+
+      if (positions[d].length >= 2 && positions[d].length <= size) pool.push(d);
+    }
+
+    for (const digits of combinations(pool, size)) {
+      const cells = [...new Set(digits.flatMap((d) => positions[d]))];
+
+      if (cells.length !== size) continue;
+
+      const mask = digits.reduce((m, d) => m | bit(d), 0);
+
+      const eliminations = eliminationsFrom(state, cells, ALL_DIGITS & ~mask);
+
+      if (eliminations.length) {
+        return {
+          cells: cells.sort((a, b) => a - b),
+
+          digits,
+
+          unit: unit.name,
+
+          eliminations,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+
+ * X-Wing (size 2) and Swordfish (size 3): a digit whose candidates in `size`
+ * rows lie in the same `size` columns (or vice versa) can be removed from the
+ * rest of those columns.
+
+ */
+
+function findFish(state, size) {
+  const orientations = [
+    { base: "row", cover: "column" },
+
+    { base: "column", cover: "row" },
+  ];
+
+  for (let d = 1; d <= 9; d++) {
+    for (const { base, cover } of orientations) {
+      const baseUnits = UNITS.filter((unit) => unit.type === base);
+
+      const coverUnits = UNITS.filter((unit) => unit.type === cover);
+
+      const lines = [];
+
+      baseUnits.forEach((unit) => {
+        const spots = emptyCells(state, unit.cells).filter(
+          (cell) => state.candidates[cell] & bit(d),
+        );
+
+        if (spots.length >= 2 && spots.length <= size) {
+          lines.push({ unit, spots });
+        }
+      });
+
+      for (const fish of combinations(lines, size)) {
+        const spots = fish.flatMap((line) => line.spots);
+
+        const covers = coverUnits.filter((unit) =>
+          spots.some((cell) => unit.cells.includes(cell)),
+        );
+
+        if (covers.length !== size) continue;
+
+        const others = covers
+          .flatMap((unit) => emptyCells(state, unit.cells))
+          .filter(
+            (cell) => !fish.some((line) => line.unit.cells.includes(cell)),
+          );
+
+        const eliminations = eliminationsFrom(state, others, bit(d));
+
+        if (eliminations.length) {
+          return {
+            cells: spots.sort((a, b) => a - b),
+            digits: [d],
+            eliminations,
+          };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+
+ * A pivot with candidates {x, y} seeing two pincers {x, z} and {y, z}: one of
+ * the pincers must be z, so z can be removed from every cell seeing both.
+
+ */
+
+function findXYWing(state) {
+  const pairs = [];
+
+  for (let cell = 0; cell < 81; cell++) {
+    if (!state.values[cell] && countBits(state.candidates[cell]) === 2) {
+      pairs.push(cell);
+    }
+  }
+
+  for (const pivot of pairs) {
+    const [x, y] = digitsOf(state.candidates[pivot]);
+
+    const pincers = pairs.filter((cell) => PEERS[pivot].has(cell));
+
+    for (const first of pincers) {
+      const firstMask = state.candidates[first];
+
+      if (!(firstMask & bit(x)) || firstMask & bit(y)) continue;
+
+      const z = digitsOf(firstMask & ~bit(x))[0];
+
+      for (const second of pincers) {
+        if (state.candidates[second] !== (bit(y) | bit(z))) continue;
+
+        const others = [];
+
+        PEERS[first].forEach((cell) => {
+          if (
+            cell !== pivot &&
+            !state.values[cell] &&
+            PEERS[second].has(cell)
+          ) {
+            others.push(cell);
+          }
+        });
+
+        const eliminations = eliminationsFrom(state, others, bit(z));
+
+        if (eliminations.length) {
+          return {
+            cells: [pivot, first, second],
+            digits: [x, y, z],
+            eliminations,
+          };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+
+ * Reveals the solution's digit in the empty cell with the fewest candidates.
+
+ */
+
+function findGuess(state, solution) {
+  let best = -1;
+
+  for (let cell = 0; cell < 81; cell++) {
+    if (
+      !state.values[cell] &&
+      (best < 0 ||
+        countBits(state.candidates[cell]) < countBits(state.candidates[best]))
+    ) {
+      best = cell;
+    }
+  }
+
+  if (best < 0) return null;
+
+  const digit = parseInt(solution[best], 10);
+
+  return {
+    technique: "guess",
+
+    cells: [best],
+
+    digits: [digit],
+
+    placement: { cell: best, value: digit },
+
+    eliminations: [],
+  };
+}
+
+module.exports = LogicalSolver;
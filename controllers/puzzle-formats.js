@@ -0,0 +1,214 @@
+const { boardShape } = require("./board-shapes.js");
+
+/**
+
+ * Converts puzzles between the dotted puzzle string the solver works with and
+ * the formats partner sites send:
+ *
+ * - "string": one character per cell, with ".", "0" or "_" for blanks
+ * - "grid": rows of cells separated by whitespace and "|", with optional
+ *   "-+" separator lines
+ * - "sdk": SadMan Sudoku files, one row per line with "#" metadata lines
+ * - "ss": Simple Sudoku files, rows like "..9|..5|.1." with "-" separator lines
+ * - "json": an N×N array of rows, with 0 or null for blanks
+ * - "csv": one row per line, comma-separated, with empty fields or 0 for blanks
+
+ */
+
+const FORMATS = ["string", "grid", "sdk", "ss", "json", "csv"];
+
+// Formats a text body can be sent as, picked by its Content-Type
+
+const CONTENT_TYPES = {
+  "text/csv": "csv",
+
+  "text/plain": "grid",
+};
+
+const BLANKS = new Set([".", "0", "_"]);
+
+/**
+
+ * Reads a puzzle in any of FORMATS.
+
+ * @param {string|Array} input - The puzzle as received; "json" also accepts an already parsed array.
+
+ * @param {string} format - One of FORMATS.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {string|null} - The dotted puzzle string, which still has to be validated, or null if the input isn't in that format at all.
+
+ */
+
+function parsePuzzle(input, format, size = 9) {
+  if (format === "json") {
+    return parseJson(input, size);
+  }
+
+  if (typeof input !== "string") {
+    return null;
+  }
+
+  if (format === "csv") {
+    return input
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== "")
+      .map((line) =>
+        line
+          .split(",")
+          .map((field) => cellChar(field.trim()))
+          .join(""),
+      )
+      .join("");
+  }
+
+  // Every text format boils down to the cells left once comment lines,
+  // separators and whitespace are dropped
+
+  return input
+    .split(/\r?\n/)
+    .filter((line) => !/^\s*(#|\[)/.test(line))
+    .join("")
+    .replace(/[\s|!+=-]/g, "")
+    .split("")
+    .map(cellChar)
+    .join("");
+}
+
+function parseJson(input, size) {
+  let rows = input;
+
+  if (typeof input === "string") {
+    try {
+      rows = JSON.parse(input);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  if (
+    !Array.isArray(rows) ||
+    rows.length !== size ||
+    !rows.every((row) => Array.isArray(row) && row.length === size)
+  ) {
+    return null;
+  }
+
+  const { symbols } = boardShape(size);
+
+  return rows
+    .map((row) =>
+      row
+        .map((value) => {
+          if (value === null || value === 0) return ".";
+
+          if (Number.isInteger(value)) return symbols[value - 1] || "?";
+
+          return typeof value === "string" ? cellChar(value) : "?";
+        })
+        .join(""),
+    )
+    .join("");
+}
+
+// A blank becomes "." and anything else is kept for validate() to judge;
+// an empty CSV field is a blank too
+
+function cellChar(value) {
+  if (value === "" || BLANKS.has(value)) return ".";
+
+  return value.toUpperCase();
+}
+
+/**
+
+ * Writes a dotted puzzle string in any of FORMATS.
+
+ * @param {string} puzzleString - A valid puzzle string.
+
+ * @param {string} format - One of FORMATS.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {string|number[][]} - The puzzle text, or an array of rows for "json".
+
+ */
+
+function formatPuzzle(puzzleString, format, size = 9) {
+  const { boxRows, boxCols, symbols } = boardShape(size);
+
+  const rows = Array.from({ length: size }, (_, r) =>
+    puzzleString.slice(r * size, (r + 1) * size).split(""),
+  );
+
+  // Splits a row into its boxes, and the rows into bands of boxes
+
+  const boxes = (row) =>
+    Array.from({ length: size / boxCols }, (_, b) =>
+      row.slice(b * boxCols, (b + 1) * boxCols),
+    );
+
+  const banded = (lines, separator) =>
+    lines.flatMap((line, r) =>
+      r > 0 && r % boxRows === 0 ? [separator, line] : [line],
+    );
+
+  switch (format) {
+    case "json":
+      return rows.map((row) =>
+        row.map((char) => (char === "." ? 0 : symbols.indexOf(char) + 1)),
+      );
+
+    case "csv":
+      return rows
+        .map((row) => row.map((char) => (char === "." ? "" : char)).join(","))
+        .join("\n");
+
+    case "grid": {
+      const lines = rows.map((row) =>
+        boxes(row)
+          .map((box) => box.join(" "))
+          .join(" | "),
+      );
+
+      const separator = boxes(rows[0])
+        .map((box) => "-".repeat(box.length * 2 - 1))
+        .join("-+-");
+
+      return banded(lines, separator).join("\n");
+    }
+
+    case "sdk":
+      return rows.map((row) => row.join("")).join("\n");
+
+    case "ss": {
+      const lines = rows.map((row) =>
+        boxes(row)
+          .map((box) => box.join(""))
+          .join("|"),
+      );
+
+      return banded(lines, "-".repeat(lines[0].length)).join("\n");
+    }
+
+    default:
+      return puzzleString;
+  }
+}
+
+/**
+
+ * Picks the format of a text body from its Content-Type.
+
+ * @param {string} [contentType] - The request's Content-Type header.
+
+ * @returns {string|undefined} - The format, or undefined if the type has none.
+
+ */
+
+function formatForContentType(contentType = "") {
+  return CONTENT_TYPES[contentType.split(";")[0].trim().toLowerCase()];
+}
+
+module.exports = { FORMATS, parsePuzzle, formatPuzzle, formatForContentType };
@@ -0,0 +1,263 @@
+const SudokuSolver = require("./sudoku-solver.js");
+const { TIERS } = require("./difficulty.js");
+const { randomSeed, createRandom, shuffle } = require("./random.js");
+
+const SYMMETRIES = ["none", "rotational", "mirror", "diagonal"];
+
+// No 9x9 puzzle with fewer than 17 clues has a unique solution.
+
+const MIN_CLUES = 17;
+
+const MAX_ATTEMPTS = 20;
+
+// Puzzles of the upper tiers, symmetric ones above all, turn up in as few
+// as one attempt in 25, so hitting a tier gets more attempts
+
+const TIER_ATTEMPTS = 200;
+
+class PuzzleGenerator {
+  /**
+
+   * @param {SudokuSolver} [solver] - The solver that checks and rates puzzles.
+
+   * @param {{timeLimit?: number}} [options] - How many milliseconds generate() may take (no limit by default).
+
+   */
+
+  constructor(solver = new SudokuSolver(), options = {}) {
+    const { timeLimit = Infinity } = options;
+
+    this.solver = solver;
+
+    this.timeLimit = timeLimit;
+  }
+
+  /**
+
+   * Validates generator options. Checks the difficulty tier, symmetry, clue range and seed.
+
+   * @param {Object} options - The options passed to generate().
+
+   * @returns {{valid: boolean, error?: string}} - An object indicating if the options are valid, and an error message if not.
+
+   */
+
+  validateOptions(options = {}) {
+    const { difficulty, symmetry, minClues, maxClues, seed } = options;
+
+    if (difficulty !== undefined && !TIERS.includes(difficulty)) {
+      return { valid: false, error: "Invalid difficulty" };
+    }
+
+    if (symmetry !== undefined && !SYMMETRIES.includes(symmetry)) {
+      return { valid: false, error: "Invalid symmetry" };
+    }
+
+    const min = minClues === undefined ? MIN_CLUES : minClues;
+
+    const max = maxClues === undefined ? 81 : maxClues;
+
+    if (
+      !Number.isInteger(min) ||
+      !Number.isInteger(max) ||
+      min < MIN_CLUES ||
+      max > 81 ||
+      min > max
+    ) {
+      return { valid: false, error: "Invalid clue range" };
+    }
+
+    if (
+      seed !== undefined &&
+      typeof seed !== "string" &&
+      !Number.isInteger(seed)
+    ) {
+      return { valid: false, error: "Invalid seed" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+
+   * Generates a puzzle with a unique solution. Clues are removed from a random
+   * solved grid in symmetric groups for as long as the solution stays unique
+   * and the puzzle no harder than the requested tier. Attempts that miss the
+   * tier or clue range are retried until they run out or the time limit is
+   * reached.
+
+   * @param {Object} [options]
+
+   * @param {string} [options.difficulty] - The target tier (see difficulty.TIERS).
+
+   * @param {string} [options.symmetry="none"] - One of none, rotational, mirror or diagonal.
+
+   * @param {number} [options.minClues=17] - The minimum number of clues.
+
+   * @param {number} [options.maxClues=81] - The maximum number of clues.
+
+   * @param {number|string} [options.seed] - Seed for reproducible output; a random one is picked if omitted.
+
+   * @returns {Object|null} - The puzzle, its solution, clue count, rating, symmetry and seed, or null if no attempt matched in time.
+
+   */
+
+  generate(options = {}) {
+    const {
+      difficulty,
+      symmetry = "none",
+      minClues = MIN_CLUES,
+      maxClues = 81,
+    } = options;
+
+    const seed = options.seed === undefined ? randomSeed() : options.seed;
+
+    const random = createRandom(seed);
+
+    const target = difficulty ? TIERS.indexOf(difficulty) : null;
+
+    const attempts = difficulty ? TIER_ATTEMPTS : MAX_ATTEMPTS;
+
+    const deadline = Date.now() + this.timeLimit;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const solution = this.randomSolution(random);
+
+      const orbits = shuffle(symmetryOrbits(symmetry), random);
+
+      const cells = solution.split("");
+
+      let clues = 81;
+
+      let rating = null;
+
+      let outOfTime = false;
+
+      orbits.forEach((orbit) => {
+        if (outOfTime || clues - orbit.length < minClues) return;
+
+        if (Date.now() > deadline) {
+          outOfTime = true;
+
+          return;
+        }
+
+        orbit.forEach((cell) => {
+          cells[cell] = ".";
+        });
+
+        const unique =
+          this.solver.countSolutions(cells.join(""), 2).count === 1;
+
+        // With a tier to hit, a removal that makes the puzzle harder than
+        // the tier is undone too, so the puzzle hardens a step at a time
+        // and stops at the tier instead of jumping past it
+
+        const next =
+          unique && target !== null ? this.solver.rate(cells.join("")) : null;
+
+        if (unique && (!next || TIERS.indexOf(next.tier) <= target)) {
+          clues -= orbit.length;
+
+          rating = next;
+        } else {
+          orbit.forEach((cell) => {
+            cells[cell] = solution[cell];
+          });
+        }
+      });
+
+      if (outOfTime) return null;
+
+      if (!rating) rating = this.solver.rate(cells.join(""));
+
+      if (difficulty && rating.tier !== difficulty) continue;
+
+      if (clues > maxClues) continue;
+
+      return {
+        puzzle: cells.join(""),
+
+        solution,
+
+        clues,
+
+        difficulty: rating,
+
+        symmetry,
+
+        seed,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+
+   * Builds a random solved grid: the three boxes on the main diagonal don't
+   * constrain each other, so they are filled with shuffled digits and the
+   * solver completes the rest.
+
+   */
+
+  randomSolution(random) {
+    const cells = new Array(81).fill(".");
+
+    for (let box = 0; box < 3; box++) {
+      const digits = shuffle(
+        ["1", "2", "3", "4", "5", "6", "7", "8", "9"],
+        random,
+      );
+
+      digits.forEach((digit, i) => {
+        const row = box * 3 + Math.floor(i / 3);
+
+        const col = box * 3 + (i % 3);
+
+        cells[row * 9 + col] = digit;
+      });
+    }
+
+    return this.solver.solve(cells.join(""));
+  }
+}
+
+/**
+
+ * Groups the 81 cells into the sets that must be cleared together to keep
+ * the clue pattern symmetric.
+
+ */
+
+function symmetryOrbits(symmetry) {
+  const partner = {
+    none: (row, col) => [row, col],
+
+    rotational: (row, col) => [8 - row, 8 - col],
+
+    mirror: (row, col) => [row, 8 - col],
+
+    diagonal: (row, col) => [col, row],
+  }[symmetry];
+
+  const seen = new Set();
+
+  const orbits = [];
+
+  for (let cell = 0; cell < 81; cell++) {
+    if (seen.has(cell)) continue;
+
+    const [row, col] = partner(Math.floor(cell / 9), cell % 9);
+
+    const orbit = [...new Set([cell, row * 9 + col])];
+
+    orbit.forEach((member) => seen.add(member));
+
+    orbits.push(orbit);
+  }
+
+  return orbits;
+}
+
+module.exports = PuzzleGenerator;
@@ -0,0 +1,326 @@
+const crypto = require("crypto");
+const SudokuSolver = require("./sudoku-solver.js");
+const { TIERS } = require("./difficulty.js");
+
+/**
+
+ * A persistent library of classic 9x9 puzzles. Each entry holds the puzzle,
+ * its solution and difficulty rating, where it came from, free-form tags,
+ * whether the team has solved it, and when it was added. Entries live in a
+ * backend from library-stores.js.
+
+ */
+
+class PuzzleLibrary {
+  /**
+
+   * @param {Object} store - A backend from library-stores.js.
+
+   * @param {{solver?: SudokuSolver, seed?: string[]}} [options] - The solver used to solve and rate puzzles, and puzzles to fill an empty library with.
+
+   */
+
+  constructor(store, options = {}) {
+    const { solver = new SudokuSolver(), seed = [] } = options;
+
+    this.store = store;
+
+    this.solver = solver;
+
+    this.seed = seed;
+
+    this.ready = null;
+
+    // Adds run one at a time, so two copies of a puzzle sent together can't
+    // both pass the duplicate check
+
+    this.adding = Promise.resolve();
+  }
+
+  // Fills an empty library with the seed puzzles the first time it is used.
+  // If the store can't be read, the next call tries again.
+
+  whenReady() {
+    if (!this.ready) {
+      this.ready = this.store
+        .list()
+        .then((entries) => {
+          if (entries.length > 0) return null;
+
+          return this.seed.reduce(
+            (done, puzzle) =>
+              done.then(() => this.insert({ puzzle, source: "sample" })),
+            Promise.resolve(),
+          );
+        })
+        .catch((err) => {
+          this.ready = null;
+
+          throw err;
+        });
+    }
+
+    return this.ready;
+  }
+
+  /**
+
+   * Adds a puzzle. It must have exactly one solution, and mustn't already be
+   * in the library in any disguise: relabelled, rotated, reflected or with
+   * its rows and columns shuffled (see SudokuSolver.canonicalize()).
+
+   * @param {{puzzle: string, source?: string, tags?: string[]|string}} fields - The puzzle, where it came from and its tags.
+
+   * @returns {Promise<{entry?: Object, error?: string, id?: string}>} - The new entry, or an error; a duplicate also gets the id of the entry it duplicates.
+
+   */
+
+  add(fields) {
+    const task = () => this.whenReady().then(() => this.insert(fields));
+
+    this.adding = this.adding.then(task, task);
+
+    return this.adding;
+  }
+
+  insert({ puzzle, source = "", tags }) {
+    const puzzleValidation = this.solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return Promise.resolve({ error: puzzleValidation.error });
+    }
+
+    const normalizedTags = normalizeTags(tags);
+
+    if (!normalizedTags || typeof source !== "string") {
+      return Promise.resolve({
+        error: normalizedTags ? "Invalid source" : "Invalid tags",
+      });
+    }
+
+    const { count, solutions } = this.solver.countSolutions(puzzle);
+
+    if (count === 0) {
+      return Promise.resolve({ error: "Puzzle cannot be solved" });
+    }
+
+    if (count > 1) {
+      return Promise.resolve({ error: "Puzzle has more than one solution" });
+    }
+
+    const { canonical } = this.solver.canonicalize(puzzle);
+
+    return this.store.list().then((entries) => {
+      const duplicate = entries.find((entry) => entry.canonical === canonical);
+
+      if (duplicate) {
+        return { error: "Puzzle already in library", id: duplicate.id };
+      }
+
+      const rating = this.solver.rate(puzzle);
+
+      const entry = {
+        id: crypto.randomUUID(),
+
+        puzzle,
+
+        solution: solutions[0],
+
+        canonical,
+
+        clues: puzzle.replace(/\./g, "").length,
+
+        difficulty: rating.tier,
+
+        score: rating.score,
+
+        source: source.trim(),
+
+        tags: normalizedTags,
+
+        solved: false,
+
+        addedAt: new Date().toISOString(),
+      };
+
+      return this.store.put(entry).then((stored) => ({ entry: stored }));
+    });
+  }
+
+  /**
+
+   * Looks up an entry.
+
+   * @param {string} id - The entry id.
+
+   * @returns {Promise<Object|null>} - The entry, or null if there is none.
+
+   */
+
+  get(id) {
+    return this.whenReady().then(() => this.store.get(id));
+  }
+
+  /**
+
+   * Changes an entry's source, tags or solved flag. The puzzle itself, and so
+   * everything worked out from it, can't be changed.
+
+   * @param {string} id - The entry id.
+
+   * @param {{source?: string, tags?: string[]|string, solved?: boolean|string}} changes - The fields to change.
+
+   * @returns {Promise<{entry?: Object, error?: string}>} - The updated entry, or an error.
+
+   */
+
+  update(id, changes) {
+    const { source, tags, solved } = changes;
+
+    if (changes.puzzle !== undefined) {
+      return Promise.resolve({ error: "Puzzle cannot be changed" });
+    }
+
+    const updates = {};
+
+    if (source !== undefined) {
+      if (typeof source !== "string") {
+        return Promise.resolve({ error: "Invalid source" });
+      }
+
+      updates.source = source.trim();
+    }
+
+    if (tags !== undefined) {
+      updates.tags = normalizeTags(tags);
+
+      if (!updates.tags) return Promise.resolve({ error: "Invalid tags" });
+    }
+
+    if (solved !== undefined) {
+      updates.solved = parseFlag(solved);
+
+      if (updates.solved === null) {
+        return Promise.resolve({ error: "Invalid solved flag" });
+      }
+    }
+
+    return this.get(id).then((entry) => {
+      if (!entry) return { error: "Puzzle not found" };
+
+      return this.store
+        .put({ ...entry, ...updates })
+        .then((stored) => ({ entry: stored }));
+    });
+  }
+
+  /**
+
+   * Deletes an entry.
+
+   * @param {string} id - The entry id.
+
+   * @returns {Promise<boolean>} - True if there was such an entry.
+
+   */
+
+  remove(id) {
+    return this.whenReady().then(() => this.store.remove(id));
+  }
+
+  /**
+
+   * Validates search filters, as they arrive in a query string.
+
+   * @param {{tag?: string, difficulty?: string, clues?: string, minClues?: string, maxClues?: string, solved?: string}} filters - The filters.
+
+   * @returns {{valid: boolean, error?: string}} - An object indicating if the filters are valid, and an error message if not.
+
+   */
+
+  validateFilters(filters) {
+    const { difficulty, solved } = filters;
+
+    if (difficulty !== undefined && !TIERS.includes(difficulty)) {
+      return { valid: false, error: "Invalid difficulty" };
+    }
+
+    const counts = ["clues", "minClues", "maxClues"]
+      .map((name) => filters[name])
+      .filter((value) => value !== undefined);
+
+    if (!counts.every((value) => /^\d+$/.test(value) && Number(value) <= 81)) {
+      return { valid: false, error: "Invalid clue range" };
+    }
+
+    if (solved !== undefined && parseFlag(solved) === null) {
+      return { valid: false, error: "Invalid solved flag" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+
+   * Lists the entries matching every given filter, oldest first. `tag` may
+   * name several tags, comma-separated, all of which an entry must have.
+
+   * @param {Object} [filters] - Filters that passed validateFilters().
+
+   * @returns {Promise<Object[]>} - The matching entries.
+
+   */
+
+  search(filters = {}) {
+    const { tag, difficulty, clues, minClues, maxClues, solved } = filters;
+
+    const wanted = tag === undefined ? [] : normalizeTags(tag) || [];
+
+    const checks = [
+      (entry) => wanted.every((name) => entry.tags.includes(name)),
+
+      (entry) => difficulty === undefined || entry.difficulty === difficulty,
+
+      (entry) => clues === undefined || entry.clues === Number(clues),
+
+      (entry) => minClues === undefined || entry.clues >= Number(minClues),
+
+      (entry) => maxClues === undefined || entry.clues <= Number(maxClues),
+
+      (entry) => solved === undefined || entry.solved === parseFlag(solved),
+    ];
+
+    return this.whenReady()
+      .then(() => this.store.list())
+      .then((entries) =>
+        entries
+          .filter((entry) => checks.every((check) => check(entry)))
+          .sort((a, b) => a.addedAt.localeCompare(b.addedAt)),
+      );
+  }
+}
+
+// Tags come as an array or, from a form or query, a comma-separated string.
+// They are trimmed and lower-cased, and repeats dropped.
+
+function normalizeTags(tags) {
+  if (tags === undefined) return [];
+
+  const list = typeof tags === "string" ? tags.split(",") : tags;
+
+  if (!Array.isArray(list) || !list.every((t) => typeof t === "string")) {
+    return null;
+  }
+
+  return [...new Set(list.map((t) => t.trim().toLowerCase()).filter((t) => t))];
+}
+
+function parseFlag(flag) {
+  if (flag === true || flag === "true") return true;
+
+  if (flag === false || flag === "false") return false;
+
+  return null;
+}
+
+module.exports = PuzzleLibrary;
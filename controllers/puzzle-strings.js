@@ -1,4 +1,4 @@
-export const puzzlesAndSolutions = [
+const puzzlesAndSolutions = [
   [
     '1.5..2.84..63.12.7.2..5.....9..1....8.2.3674.3.7.2..9.47...8..1..16....926914.37.',
     '135762984946381257728459613694517832812936745357824196473298561581673429269145378'
@@ -20,3 +20,50 @@ export const puzzlesAndSolutions = [
     '827549163531672894649831527496157382218396475753284916962415738185763249374928651'
   ]
 ];
+
+// A Killer Sudoku with no givens; its cages alone have a unique solution,
+// the same one as puzzlesAndSolutions[0].
+const killerPuzzle = {
+  cages: [
+    { sum: 10, cells: ['A1', 'B1'] },
+    { sum: 28, cells: ['A2', 'B2', 'B3', 'A3', 'C2', 'C3'] },
+    { sum: 13, cells: ['A4', 'A5'] },
+    { sum: 3, cells: ['A6', 'B6'] },
+    { sum: 17, cells: ['A7', 'A8'] },
+    { sum: 11, cells: ['A9', 'B9'] },
+    { sum: 11, cells: ['B4', 'B5'] },
+    { sum: 8, cells: ['B7', 'C7'] },
+    { sum: 11, cells: ['B8', 'C8', 'C9', 'D9'] },
+    { sum: 13, cells: ['C1', 'D1'] },
+    { sum: 24, cells: ['C4', 'D4', 'D5', 'E5', 'F5', 'G5'] },
+    { sum: 35, cells: ['C5', 'C6', 'D6', 'E6', 'D7'] },
+    { sum: 18, cells: ['D2', 'E2', 'E1'] },
+    { sum: 15, cells: ['D3', 'E3', 'E4'] },
+    { sum: 22, cells: ['D8', 'E8', 'F8', 'G8'] },
+    { sum: 28, cells: ['E7', 'F7', 'F6', 'G6', 'G7', 'H6'] },
+    { sum: 36, cells: ['E9', 'F9', 'G9', 'H9', 'I9', 'I8'] },
+    { sum: 29, cells: ['F1', 'G1', 'G2', 'H2', 'H1', 'I1'] },
+    { sum: 23, cells: ['F2', 'F3', 'F4', 'G3'] },
+    { sum: 18, cells: ['G4', 'H4', 'H3', 'I3'] },
+    { sum: 16, cells: ['H5', 'I5', 'I6'] },
+    { sum: 6, cells: ['H7', 'H8'] },
+    { sum: 6, cells: ['I2'] },
+    { sum: 1, cells: ['I4'] },
+    { sum: 3, cells: ['I7'] }
+  ],
+  solution:
+    '135762984946381257728459613694517832812936745357824196473298561581673429269145378'
+};
+
+// A jigsaw puzzle: C3 and D1 trade regions, and so do F9 and G7. Without its
+// region map the puzzle has more than one solution.
+const jigsawPuzzle = {
+  regions:
+    '111222333111222333114222333144555666444555666444555669777888699777888999777888999',
+  puzzle:
+    '.....9...7..12....1......8......7....5.....3.8..6.5..2.........2418..6..69.57.8.1',
+  solution:
+    '365789124789124356124356789412937568956218437837645912578461293241893675693572841'
+};
+
+module.exports = { puzzlesAndSolutions, killerPuzzle, jigsawPuzzle };
@@ -0,0 +1,96 @@
+/**
+
+ * Seeded pseudo-random numbers, so generated and shuffled puzzles can be
+ * reproduced from their seed.
+
+ */
+
+/**
+
+ * Turns a numeric or string seed into a 32-bit unsigned integer.
+
+ * @param {number|string} seed - The seed.
+
+ * @returns {number} - The normalised seed.
+
+ */
+
+function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isInteger(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a hash of the string form
+
+  let hash = 0x811c9dc5;
+
+  const text = String(seed);
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+
+ * Returns a random seed for callers that did not provide one.
+
+ */
+
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+
+ * Creates a mulberry32 generator.
+
+ * @param {number|string} seed - The seed.
+
+ * @returns {function(): number} - A function returning floats in [0, 1).
+
+ */
+
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+
+ * Shuffles a copy of `items` (Fisher-Yates) using `random`.
+
+ * @param {Array} items - The items to shuffle.
+
+ * @param {function(): number} random - A generator from createRandom.
+
+ * @returns {Array} - The shuffled copy.
+
+ */
+
+function shuffle(items, random) {
+  const result = items.slice();
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+}
+
+module.exports = { normalizeSeed, randomSeed, createRandom, shuffle };
@@ -0,0 +1,74 @@
+const { isContiguous } = require("./board-shapes.js");
+
+/**
+
+ * Jigsaw region maps. A region map replaces the rectangular boxes with
+ * irregular regions: one character per cell, in the same order as the puzzle
+ * string, where cells with the same character share a region, e.g.
+ * "111222333111222333..." for the classic layout.
+
+ */
+
+/**
+
+ * Validates a region map for a board size: it must describe N connected
+ * regions of N cells each.
+
+ * @param {*} regions - The requested region map.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {{valid: boolean, error?: string}} - An object indicating if the region map is valid, and an error message if not.
+
+ */
+
+function validateRegions(regions, size = 9) {
+  if (typeof regions !== "string" || regions.length !== size * size) {
+    return {
+      valid: false,
+
+      error: `Expected region map to be ${size * size} characters long`,
+    };
+  }
+
+  const cells = regionCells(regions);
+
+  if (cells.length !== size || cells.some((region) => region.length !== size)) {
+    return {
+      valid: false,
+
+      error: `Region map must have ${size} regions of ${size} cells`,
+    };
+  }
+
+  if (!cells.every((region) => isContiguous(region, size))) {
+    return { valid: false, error: "Regions must be contiguous" };
+  }
+
+  return { valid: true };
+}
+
+/**
+
+ * Groups the cells of a region map by region, in order of each region's
+ * first cell.
+
+ * @param {string} regions - The region map.
+
+ * @returns {number[][]} - The cell indexes of each region.
+
+ */
+
+function regionCells(regions) {
+  const byId = new Map();
+
+  for (let cell = 0; cell < regions.length; cell++) {
+    if (!byId.has(regions[cell])) byId.set(regions[cell], []);
+
+    byId.get(regions[cell]).push(cell);
+  }
+
+  return [...byId.values()];
+}
+
+module.exports = { validateRegions, regionCells };
@@ -0,0 +1,434 @@
+const { boardShape, coordinate } = require("./board-shapes.js");
+
+/**
+
+ * Draws puzzles as SVG images or as a printable PDF page. Both outputs come
+ * from the same layout: a list of lines and centred text items in a y-down
+ * coordinate space, which the SVG writer emits as is and the PDF writer
+ * scales and flips onto the page.
+
+ */
+
+const CELL_SIZE = 40;
+
+// Room for the row letters and column numbers when labels are drawn
+
+const LABEL_MARGIN = 24;
+
+const COLORS = {
+  given: "#000000",
+
+  filled: "#2a5db0",
+
+  candidate: "#777777",
+
+  label: "#000000",
+
+  line: "#000000",
+};
+
+// A4 in points, with the margin kept clear for printers
+
+const PAGE = { width: 595, height: 842, margin: 36 };
+
+// Puzzles a PDF page holds: two columns of three
+
+const MAX_PAGE_PUZZLES = 6;
+
+// Helvetica advance widths (per 1000 em) of the digits and of the letters
+// larger boards use, so the PDF writer can centre text
+
+const GLYPH_WIDTHS = {
+  regular: {
+    default: 556,
+    A: 667,
+    B: 667,
+    C: 722,
+    D: 722,
+    E: 667,
+    F: 611,
+    G: 778,
+    H: 722,
+    I: 278,
+    J: 500,
+    K: 667,
+    L: 556,
+    M: 833,
+    N: 722,
+    O: 778,
+    P: 667,
+  },
+
+  bold: {
+    default: 556,
+    A: 722,
+    B: 722,
+    C: 722,
+    D: 722,
+    E: 667,
+    F: 611,
+    G: 778,
+    H: 722,
+    I: 278,
+    J: 556,
+    K: 722,
+    L: 611,
+    M: 833,
+    N: 722,
+    O: 778,
+    P: 667,
+  },
+};
+
+/**
+
+ * Lays out one puzzle.
+
+ * @param {{puzzle: string, solution?: string, candidates?: Object<string, string[]>}} sheet - The givens, optionally the solution to fill the other cells with, and optionally pencil marks keyed by coordinate.
+
+ * @param {{size?: number, regions?: number[][], labels?: boolean}} [options] - The board size (9 by default), the cells of each jigsaw region (boxes by default) and whether to draw the axis labels.
+
+ * @returns {{width: number, height: number, lines: Object[], texts: Object[]}} - The drawing.
+
+ */
+
+function layout(sheet, options = {}) {
+  const { size = 9, labels = false } = options;
+
+  const { boxRows, boxCols, symbols } = boardShape(size);
+
+  // The region of every cell
+
+  const regions = new Array(size * size);
+
+  (options.regions || boxRegions(size)).forEach((cells, region) => {
+    cells.forEach((cell) => (regions[cell] = region));
+  });
+
+  const offset = labels ? LABEL_MARGIN : 0;
+
+  const side = size * CELL_SIZE;
+
+  const lines = [];
+
+  const texts = [];
+
+  const at = (index) => offset + index * CELL_SIZE;
+
+  // Thin lines between cells, thick ones where the region changes
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const cell = r * size + c;
+
+      if (c + 1 < size) {
+        lines.push({
+          x1: at(c + 1),
+
+          y1: at(r),
+
+          x2: at(c + 1),
+
+          y2: at(r + 1),
+
+          width: regions[cell] === regions[cell + 1] ? 1 : 3,
+        });
+      }
+
+      if (r + 1 < size) {
+        lines.push({
+          x1: at(c),
+
+          y1: at(r + 1),
+
+          x2: at(c + 1),
+
+          y2: at(r + 1),
+
+          width: regions[cell] === regions[cell + size] ? 1 : 3,
+        });
+      }
+    }
+  }
+
+  [
+    [0, 0, size, 0],
+
+    [size, 0, size, size],
+
+    [size, size, 0, size],
+
+    [0, size, 0, 0],
+  ].forEach(([x1, y1, x2, y2]) => {
+    lines.push({ x1: at(x1), y1: at(y1), x2: at(x2), y2: at(y2), width: 3 });
+  });
+
+  // Digits: givens in bold, solved cells in colour, pencil marks laid out
+  // like a box inside empty cells
+
+  for (let cell = 0; cell < size * size; cell++) {
+    const x = at(cell % size);
+
+    const y = at(Math.floor(cell / size));
+
+    const given = sheet.puzzle[cell] !== ".";
+
+    const value = given ? sheet.puzzle[cell] : (sheet.solution || "")[cell];
+
+    if (value && value !== ".") {
+      texts.push({
+        x: x + CELL_SIZE / 2,
+
+        y: y + CELL_SIZE / 2,
+
+        text: value,
+
+        size: CELL_SIZE * 0.6,
+
+        bold: given,
+
+        color: given ? COLORS.given : COLORS.filled,
+      });
+
+      continue;
+    }
+
+    const marks = (sheet.candidates || {})[coordinate(cell, size)] || [];
+
+    marks.forEach((mark) => {
+      const index = symbols.indexOf(mark);
+
+      texts.push({
+        x: x + ((index % boxCols) + 0.5) * (CELL_SIZE / boxCols),
+
+        y: y + (Math.floor(index / boxCols) + 0.5) * (CELL_SIZE / boxRows),
+
+        text: mark,
+
+        size: (CELL_SIZE / Math.max(boxRows, boxCols)) * 0.8,
+
+        bold: false,
+
+        color: COLORS.candidate,
+      });
+    });
+  }
+
+  if (labels) {
+    for (let i = 0; i < size; i++) {
+      texts.push({
+        x: LABEL_MARGIN / 2,
+
+        y: at(i) + CELL_SIZE / 2,
+
+        text: String.fromCharCode(65 + i),
+
+        size: 14,
+
+        bold: true,
+
+        color: COLORS.label,
+      });
+
+      texts.push({
+        x: at(i) + CELL_SIZE / 2,
+
+        y: LABEL_MARGIN / 2,
+
+        text: String(i + 1),
+
+        size: 14,
+
+        bold: true,
+
+        color: COLORS.label,
+      });
+    }
+  }
+
+  return { width: offset + side, height: offset + side, lines, texts };
+}
+
+function boxRegions(size) {
+  const { boxRows, boxCols } = boardShape(size);
+
+  const boxes = Array.from({ length: size }, () => []);
+
+  for (let cell = 0; cell < size * size; cell++) {
+    const box =
+      Math.floor(Math.floor(cell / size) / boxRows) * (size / boxCols) +
+      Math.floor((cell % size) / boxCols);
+
+    boxes[box].push(cell);
+  }
+
+  return boxes;
+}
+
+// Text is drawn centred on (x, y); its baseline sits a little below the
+// centre, at about half the height of a digit
+
+const baseline = (text) => text.y + text.size * 0.35;
+
+const round = (n) => Number(n.toFixed(2));
+
+/**
+
+ * Renders one puzzle as an SVG image.
+
+ * @param {Object} sheet - The puzzle to draw (see layout).
+
+ * @param {Object} [options] - The layout options (see layout).
+
+ * @returns {string} - The SVG document.
+
+ */
+
+function renderSvg(sheet, options = {}) {
+  const { width, height, lines, texts } = layout(sheet, options);
+
+  const body = [
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+
+    ...lines.map(
+      (line) =>
+        `<line x1="${line.x1}" y1="${line.y1}" x2="${line.x2}" y2="${line.y2}" stroke="${COLORS.line}" stroke-width="${line.width}" stroke-linecap="square"/>`,
+    ),
+
+    ...texts.map(
+      (text) =>
+        `<text x="${round(text.x)}" y="${round(baseline(text))}" font-size="${round(text.size)}"${text.bold ? ' font-weight="bold"' : ""} fill="${text.color}">${text.text}</text>`,
+    ),
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" text-anchor="middle">`,
+
+    ...body.map((element) => `  ${element}`),
+
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/**
+
+ * Renders up to MAX_PAGE_PUZZLES puzzles on one A4 PDF page, one puzzle to a
+ * page or two columns of up to three.
+
+ * @param {Object[]} sheets - The puzzles to draw (see layout).
+
+ * @param {Object} [options] - The layout options, shared by every puzzle (see layout).
+
+ * @returns {Buffer} - The PDF file.
+
+ */
+
+function renderPdf(sheets, options = {}) {
+  const columns = sheets.length === 1 ? 1 : 2;
+
+  const rows = Math.ceil(sheets.length / columns);
+
+  const slotWidth = (PAGE.width - 2 * PAGE.margin) / columns;
+
+  const slotHeight = (PAGE.height - 2 * PAGE.margin) / Math.max(rows, 2);
+
+  const ops = [];
+
+  sheets.forEach((sheet, i) => {
+    const drawing = layout(sheet, options);
+
+    // Fit the puzzle in its slot with a little space around it, and flip
+    // the y axis, which points up in PDF
+
+    const scale =
+      (Math.min(slotWidth, slotHeight) * 0.9) /
+      Math.max(drawing.width, drawing.height);
+
+    const left =
+      PAGE.margin +
+      (i % columns) * slotWidth +
+      (slotWidth - drawing.width * scale) / 2;
+
+    const top =
+      PAGE.height - PAGE.margin - Math.floor(i / columns) * slotHeight;
+
+    const px = (x) => round(left + x * scale);
+
+    const py = (y) => round(top - y * scale);
+
+    drawing.lines.forEach((line) => {
+      ops.push(
+        `${round(line.width * scale)} w ${px(line.x1)} ${py(line.y1)} m ${px(line.x2)} ${py(line.y2)} l S`,
+      );
+    });
+
+    drawing.texts.forEach((text) => {
+      const fontSize = text.size * scale;
+
+      const widths = GLYPH_WIDTHS[text.bold ? "bold" : "regular"];
+
+      const textWidth =
+        (text.text
+          .split("")
+          .reduce((sum, ch) => sum + (widths[ch] || widths.default), 0) /
+          1000) *
+        fontSize;
+
+      ops.push(
+        `BT /${text.bold ? "F2" : "F1"} ${round(fontSize)} Tf ${pdfColor(text.color)} rg ${round(px(text.x) - textWidth / 2)} ${py(baseline(text))} Td (${text.text}) Tj ET`,
+      );
+    });
+  });
+
+  const content = ["0 0 0 RG 2 J", ...ops].join("\n");
+
+  return pdfDocument([
+    "<< /Type /Catalog /Pages 2 0 R >>",
+
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>",
+
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ]);
+}
+
+function pdfColor(hex) {
+  return [1, 3, 5]
+    .map((i) => round(parseInt(hex.slice(i, i + 2), 16) / 255))
+    .join(" ");
+}
+
+// Numbers the objects in order and writes the cross-reference table that
+// points at each of them
+
+function pdfDocument(objects) {
+  let pdf = "%PDF-1.4\n";
+
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+
+    return offset;
+  });
+
+  const xref = pdf.length;
+
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = { MAX_PAGE_PUZZLES, renderSvg, renderPdf };
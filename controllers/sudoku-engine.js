@@ -0,0 +1,587 @@
+const { boardShape } = require("./board-shapes.js");
+const { variantUnits, variantPeers } = require("./variants.js");
+const { sumCombinations } = require("./cages.js");
+
+// How many search steps run between two looks at the clock
+
+const CLOCK_INTERVAL = 1024;
+
+// Thrown by search() when it runs past its deadline
+
+class SearchTimeoutError extends Error {
+  constructor() {
+    super("Search time limit exceeded");
+
+    this.name = "SearchTimeoutError";
+  }
+}
+
+/**
+
+ * Bitmask search engine behind SudokuSolver.solve() and countSolutions().
+ *
+ * Every unit (row, column, region, plus any variant units) keeps a bitmask
+ * of the digits already placed in it, so the candidates of a cell are the
+ * digits missing from all of its units and from its variant peers. Killer
+ * cages keep a mask too, and only allow the digits of the sum combinations
+ * that still fit what is placed in them.
+ *
+ * The search always branches on the most constrained choice, either the
+ * empty cell with the fewest candidates or a digit with only one place left
+ * in a unit, which prunes dead ends long before a first-empty-cell scan would.
+
+ */
+
+/**
+
+ * Describes the board: its size, digit symbols and, for every cell, the units
+ * it belongs to and the variant peers it can't share a digit with.
+ * `unitKinds` and `peerKinds` name the rule behind each unit and peer, e.g.
+ * "row" or "anti-knight". Cages aren't units, since they don't hold every
+ * digit; each carries the digit combinations that make its sum instead.
+ * Jigsaw regions, when given, take the place of the rectangular boxes.
+
+ * @param {{size: number, boxRows: number, boxCols: number, symbols: string}} [shape] - A shape from board-shapes.js; 9x9 by default.
+
+ * @param {{variants?: string[], cages?: Array<{sum: number, cells: number[]}>, regions?: number[][]}} [options] - Variant names from variants.js, Killer cages from cages.cageCells() and jigsaw regions from regions.regionCells().
+
+ * @returns {{size: number, symbols: string, cellCount: number, units: number[][], unitKinds: string[], cellUnits: number[][], cellPeers: number[][], peerKinds: string[][], cages: Object[], cellCage: Int16Array}} - The geometry.
+
+ */
+
+function createGeometry(shape = boardShape(9), options = {}) {
+  const { size, symbols } = shape;
+
+  const { variants = [], cages = [], regions = boxes(shape) } = options;
+
+  const units = [];
+
+  for (let r = 0; r < size; r++) {
+    units.push(Array.from({ length: size }, (_, c) => r * size + c));
+  }
+
+  for (let c = 0; c < size; c++) {
+    units.push(Array.from({ length: size }, (_, r) => r * size + c));
+  }
+
+  regions.forEach((region) => units.push(region));
+
+  const unitKinds = units.map(
+    (_, u) => ["row", "column", "region"][Math.floor(u / size)],
+  );
+
+  variantUnits(variants, size).forEach(({ kind, cells }) => {
+    units.push(cells);
+
+    unitKinds.push(kind);
+  });
+
+  const cellUnits = Array.from({ length: size * size }, () => []);
+
+  units.forEach((cells, unit) => {
+    cells.forEach((cell) => cellUnits[cell].push(unit));
+  });
+
+  const cellPeers = [];
+
+  const peerKinds = [];
+
+  for (let cell = 0; cell < size * size; cell++) {
+    const peers = variantPeers(variants, size, cell);
+
+    cellPeers.push(peers.map((peer) => peer.cell));
+
+    peerKinds.push(peers.map((peer) => peer.kind));
+  }
+
+  const cellCage = new Int16Array(size * size).fill(-1);
+
+  cages.forEach(({ cells }, cage) => {
+    cells.forEach((cell) => (cellCage[cell] = cage));
+  });
+
+  return {
+    size,
+
+    symbols,
+
+    cellCount: size * size,
+
+    units,
+
+    unitKinds,
+
+    cellUnits,
+
+    cellPeers,
+
+    peerKinds,
+
+    cages: cages.map(({ sum, cells }) => ({
+      sum,
+
+      cells,
+
+      combinations: sumCombinations(size, cells.length, sum),
+    })),
+
+    cellCage,
+  };
+}
+
+function boxes({ size, boxRows, boxCols }) {
+  const boxesPerRow = size / boxCols;
+
+  return Array.from({ length: size }, (_, b) => {
+    const startRow = Math.floor(b / boxesPerRow) * boxRows;
+
+    const startCol = (b % boxesPerRow) * boxCols;
+
+    const region = [];
+
+    for (let r = startRow; r < startRow + boxRows; r++) {
+      for (let c = startCol; c < startCol + boxCols; c++) {
+        region.push(r * size + c);
+      }
+    }
+
+    return region;
+  });
+}
+
+const CLASSIC = createGeometry();
+
+function countBits(mask) {
+  mask -= (mask >>> 1) & 0x55555555;
+
+  mask = (mask & 0x33333333) + ((mask >>> 2) & 0x33333333);
+
+  return (((mask + (mask >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+
+ * Loads a puzzle string into a search state.
+
+ * @param {string} puzzleString - The puzzle string, "." for empty cells.
+
+ * @param {Object} [geometry] - The board geometry from createGeometry().
+
+ * @returns {{geometry: Object, values: Int8Array, used: Int32Array, cageUsed: Int32Array}|null} - The state, or null if two givens conflict.
+
+ */
+
+function load(puzzleString, geometry = CLASSIC) {
+  const values = new Int8Array(geometry.cellCount);
+
+  const used = new Int32Array(geometry.units.length);
+
+  const cageUsed = new Int32Array(geometry.cages.length);
+
+  for (let cell = 0; cell < geometry.cellCount; cell++) {
+    if (puzzleString[cell] === ".") continue;
+
+    const digit = geometry.symbols.indexOf(puzzleString[cell]) + 1;
+
+    const bit = 1 << (digit - 1);
+
+    const units = geometry.cellUnits[cell];
+
+    for (let i = 0; i < units.length; i++) {
+      if (used[units[i]] & bit) return null;
+
+      used[units[i]] |= bit;
+    }
+
+    if (geometry.cellPeers[cell].some((peer) => values[peer] === digit)) {
+      return null;
+    }
+
+    const cage = geometry.cellCage[cell];
+
+    if (cage >= 0) {
+      if (cageUsed[cage] & bit) return null;
+
+      cageUsed[cage] |= bit;
+    }
+
+    values[cell] = digit;
+  }
+
+  // The givens of a cage must be part of some combination that makes its sum
+
+  const fits = geometry.cages.every(({ combinations }, cage) =>
+    combinations.some((mask) => (mask & cageUsed[cage]) === cageUsed[cage]),
+  );
+
+  return fits ? { geometry, values, used, cageUsed } : null;
+}
+
+/**
+
+ * Lists the givens that break a rule: every digit placed more than once in a
+ * unit or a cage, and every pair of variant peers holding the same digit.
+ * load() stops at the first of these; this finds them all.
+
+ * @param {string} puzzleString - The puzzle string, "." for empty cells.
+
+ * @param {Object} [geometry] - The board geometry.
+
+ * @returns {Array<{kind: string, digit: number, cells: number[]}>} - The clashes, each with the rule it breaks ("row", "cage", "anti-knight", ...), the digit and the cells holding it.
+
+ */
+
+function givenConflicts(puzzleString, geometry = CLASSIC) {
+  const digitAt = (cell) => geometry.symbols.indexOf(puzzleString[cell]) + 1;
+
+  const conflicts = [];
+
+  const groups = [
+    ...geometry.units.map((cells, unit) => ({
+      kind: geometry.unitKinds[unit],
+
+      cells,
+    })),
+
+    ...geometry.cages.map(({ cells }) => ({ kind: "cage", cells })),
+  ];
+
+  groups.forEach(({ kind, cells }) => {
+    const cellsByDigit = Array.from({ length: geometry.size + 1 }, () => []);
+
+    cells.forEach((cell) => cellsByDigit[digitAt(cell)].push(cell));
+
+    cellsByDigit.forEach((found, digit) => {
+      if (digit > 0 && found.length > 1) {
+        conflicts.push({ kind, digit, cells: found });
+      }
+    });
+  });
+
+  // Each clashing pair of peers once, from its first cell
+
+  for (let cell = 0; cell < geometry.cellCount; cell++) {
+    const digit = digitAt(cell);
+
+    if (!digit) continue;
+
+    geometry.cellPeers[cell].forEach((peer, i) => {
+      if (peer > cell && digitAt(peer) === digit) {
+        conflicts.push({
+          kind: geometry.peerKinds[cell][i],
+
+          digit,
+
+          cells: [cell, peer],
+        });
+      }
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+
+ * Computes the candidates of every cell from the digits already placed in its
+ * units. Unlike load(), conflicting givens are tolerated, so pencil marks can
+ * still be drawn for a grid with a mistake in it.
+
+ * @param {string} puzzleString - The puzzle string, "." for empty cells.
+
+ * @param {Object} [geometry] - The board geometry.
+
+ * @returns {number[]} - A digit bitmask per cell, 0 for filled cells.
+
+ */
+
+function candidateMasks(puzzleString, geometry = CLASSIC) {
+  const used = new Int32Array(geometry.units.length);
+
+  const values = new Int8Array(geometry.cellCount);
+
+  const cageUsed = new Int32Array(geometry.cages.length);
+
+  for (let cell = 0; cell < geometry.cellCount; cell++) {
+    if (puzzleString[cell] === ".") continue;
+
+    values[cell] = geometry.symbols.indexOf(puzzleString[cell]) + 1;
+
+    geometry.cellUnits[cell].forEach((unit) => {
+      used[unit] |= 1 << (values[cell] - 1);
+    });
+
+    if (geometry.cellCage[cell] >= 0) {
+      cageUsed[geometry.cellCage[cell]] |= 1 << (values[cell] - 1);
+    }
+  }
+
+  const state = { geometry, used, values, cageUsed };
+
+  return Array.from({ length: geometry.cellCount }, (_, cell) =>
+    puzzleString[cell] === "." ? candidates(state, cell) : 0,
+  );
+}
+
+function candidates(state, cell) {
+  const cage = state.geometry.cellCage[cell];
+
+  const free = freeDigits(state, cell);
+
+  return cage >= 0 ? free & cageDigits(state, cage).allowed : free;
+}
+
+// The digits no unit or peer of the cell has placed yet
+
+function freeDigits(state, cell) {
+  const units = state.geometry.cellUnits[cell];
+
+  const peers = state.geometry.cellPeers[cell];
+
+  let taken = 0;
+
+  for (let i = 0; i < units.length; i++) taken |= state.used[units[i]];
+
+  for (let i = 0; i < peers.length; i++) {
+    if (state.values[peers[i]]) taken |= 1 << (state.values[peers[i]] - 1);
+  }
+
+  return ((1 << state.geometry.size) - 1) & ~taken;
+}
+
+// The combinations still open to a cage are those holding every digit placed
+// in it whose other digits each fit some empty cell of the cage. `allowed` is
+// every digit they offer and `required` the ones they all share, less the
+// digits already placed.
+
+function cageDigits(state, cage) {
+  const { cells, combinations } = state.geometry.cages[cage];
+
+  const placed = state.cageUsed[cage];
+
+  let open = 0;
+
+  for (let i = 0; i < cells.length; i++) {
+    if (!state.values[cells[i]]) open |= freeDigits(state, cells[i]);
+  }
+
+  let allowed = 0;
+
+  let required = -1;
+
+  for (let i = 0; i < combinations.length; i++) {
+    const rest = combinations[i] & ~placed;
+
+    if ((combinations[i] & placed) === placed && (rest & ~open) === 0) {
+      allowed |= rest;
+
+      required &= rest;
+    }
+  }
+
+  return { allowed, required: required === -1 ? 0 : required };
+}
+
+function toPuzzleString(state) {
+  const { symbols } = state.geometry;
+
+  let result = "";
+
+  for (let cell = 0; cell < state.values.length; cell++) {
+    result += state.values[cell] ? symbols[state.values[cell] - 1] : ".";
+  }
+
+  return result;
+}
+
+function toggle(state, cell, digit) {
+  const bit = 1 << (digit - 1);
+
+  const units = state.geometry.cellUnits[cell];
+
+  for (let i = 0; i < units.length; i++) state.used[units[i]] ^= bit;
+
+  const cage = state.geometry.cellCage[cell];
+
+  if (cage >= 0) state.cageUsed[cage] ^= bit;
+
+  state.values[cell] = state.values[cell] ? 0 : digit;
+}
+
+/**
+
+ * Depth-first search over a loaded state, collecting up to `limit` solutions.
+ * Some puzzles on large boards, unsolvable ones above all, can take minutes,
+ * so a deadline stops the search part way.
+
+ * @param {Object} state - A state returned by load().
+
+ * @param {number} limit - Stop after this many solutions.
+
+ * @param {number} [deadline=Infinity] - When to give up, as a Date.now() timestamp.
+
+ * @returns {string[]} - The solved puzzle strings.
+
+ * @throws {SearchTimeoutError} - If the deadline passes first.
+
+ */
+
+function search(state, limit, deadline = Infinity) {
+  const solutions = [];
+
+  let steps = 0;
+
+  const { cellCount, units, cages } = state.geometry;
+
+  const masks = new Int32Array(cellCount);
+
+  const step = () => {
+    if (++steps % CLOCK_INTERVAL === 0 && Date.now() > deadline) {
+      throw new SearchTimeoutError();
+    }
+
+    let best = -1;
+
+    let bestMask = 0;
+
+    let bestCount = Infinity;
+
+    for (let cell = 0; cell < cellCount; cell++) {
+      if (state.values[cell]) continue;
+
+      const mask = candidates(state, cell);
+
+      const count = countBits(mask);
+
+      if (count === 0) return false;
+
+      masks[cell] = mask;
+
+      if (count < bestCount) {
+        best = cell;
+
+        bestMask = mask;
+
+        bestCount = count;
+
+        if (count === 1) break;
+      }
+    }
+
+    if (best < 0) {
+      solutions.push(toPuzzleString(state));
+
+      return solutions.length >= limit;
+    }
+
+    // Branch on a cell's candidates, or on the places left for a digit in a
+    // unit when there are fewer of those: a digit with one place (a hidden
+    // single) is forced, and a digit with no place at all is a dead end.
+    // Cages count too, for the digits every combination left for them needs.
+
+    let placeCells = null;
+
+    let placeBit = 0;
+
+    if (bestCount > 1) {
+      for (let u = 0; u < units.length + cages.length; u++) {
+        const cells =
+          u < units.length ? units[u] : cages[u - units.length].cells;
+
+        let once = 0;
+
+        let twice = 0;
+
+        let thrice = 0;
+
+        for (let i = 0; i < cells.length; i++) {
+          if (state.values[cells[i]]) continue;
+
+          thrice |= twice & masks[cells[i]];
+
+          twice |= once & masks[cells[i]];
+
+          once |= masks[cells[i]];
+        }
+
+        const missing =
+          u < units.length
+            ? ((1 << state.geometry.size) - 1) & ~state.used[u]
+            : cageDigits(state, u - units.length).required;
+
+        if (missing & ~once) return false;
+
+        const single = missing & ~twice;
+
+        const pair = missing & twice & ~thrice;
+
+        if (single) {
+          placeCells = cells;
+
+          placeBit = single & -single;
+
+          break;
+        }
+
+        if (pair && bestCount > 2 && !placeBit) {
+          placeCells = cells;
+
+          placeBit = pair & -pair;
+        }
+      }
+    }
+
+    if (placeBit) {
+      const digit = 32 - Math.clz32(placeBit);
+
+      // `masks` is overwritten by deeper calls, so collect the places first
+
+      const places = placeCells.filter(
+        (cell) => !state.values[cell] && masks[cell] & placeBit,
+      );
+
+      for (const cell of places) {
+        toggle(state, cell, digit);
+
+        const done = step();
+
+        toggle(state, cell, digit);
+
+        if (done) return true;
+      }
+
+      return false;
+    }
+
+    while (bestMask) {
+      const bit = bestMask & -bestMask;
+
+      const digit = 32 - Math.clz32(bit);
+
+      bestMask ^= bit;
+
+      toggle(state, best, digit);
+
+      const done = step();
+
+      toggle(state, best, digit);
+
+      if (done) return true;
+    }
+
+    return false;
+  };
+
+  step();
+
+  return solutions;
+}
+
+module.exports = {
+  createGeometry,
+  load,
+  givenConflicts,
+  candidateMasks,
+  search,
+  SearchTimeoutError,
+};
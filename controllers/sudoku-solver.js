@@ -1,7 +1,99 @@
+const LogicalSolver = require("./logical-solver.js");
+const engine = require("./sudoku-engine.js");
+const { boardShape, coordinate } = require("./board-shapes.js");
+const { validateVariants } = require("./variants.js");
+const { validateCages, cageCells, canReachSum } = require("./cages.js");
+const { validateRegions, regionCells } = require("./regions.js");
+const { grade } = require("./difficulty.js");
+const {
+  canonicalize,
+  applyTransform,
+  findTransform,
+} = require("./transformations.js");
+
 class SudokuSolver {
   /**
 
-   * Validates a puzzle string. Checks for presence, invalid characters, and length.
+   * Creates a solver for an N×N board (see board-shapes.js for the supported
+   * sizes). Boards above 9x9 write digits past 9 as letters, e.g. 1-9 then A-G.
+   * Variants (see variants.js) add constraints on top of the classic rules,
+   * cages (see cages.js) turn the board into a Killer Sudoku, and a region
+   * map (see regions.js) replaces the boxes with jigsaw regions.
+   *
+   * Searches are unbounded unless `timeLimit` is given; then one that runs
+   * longer throws a SearchTimeoutError (see sudoku-engine.js).
+
+   * @param {{size?: number, variants?: string[], cages?: Array<{sum: number, cells: string[]}>, regions?: string, timeLimit?: number}} [options] - The board size (9 by default), variant names, Killer cages, region map and the milliseconds a search may take.
+
+   */
+
+  constructor(options = {}) {
+    const {
+      size = 9,
+      variants = [],
+      cages,
+      regions,
+      timeLimit = Infinity,
+    } = options;
+
+    const shape = boardShape(size);
+
+    if (!shape) {
+      throw new RangeError(`Unsupported grid size: ${size}`);
+    }
+
+    if (!validateVariants(variants, shape.size).valid) {
+      throw new RangeError(`Unsupported variants: ${variants}`);
+    }
+
+    if (cages !== undefined) {
+      const cagesValidation = validateCages(cages, shape.size);
+
+      if (!cagesValidation.valid) {
+        throw new RangeError(cagesValidation.error);
+      }
+    }
+
+    if (regions !== undefined) {
+      const regionsValidation = validateRegions(regions, shape.size);
+
+      if (!regionsValidation.valid) {
+        throw new RangeError(regionsValidation.error);
+      }
+    }
+
+    this.size = shape.size;
+
+    this.boxRows = shape.boxRows;
+
+    this.boxCols = shape.boxCols;
+
+    this.symbols = shape.symbols;
+
+    this.variants = variants;
+
+    this.cages = cages ? cageCells(cages, shape.size) : [];
+
+    // The cells of each jigsaw region, or null for rectangular boxes
+
+    this.regions = regions ? regionCells(regions) : null;
+
+    this.timeLimit = timeLimit;
+
+    this.geometry = engine.createGeometry(shape, {
+      variants,
+
+      cages: this.cages,
+
+      regions: this.regions || undefined,
+    });
+  }
+
+  /**
+
+   * Validates a puzzle string. Checks for presence, invalid characters, and
+   * length, and on a Killer board that the givens leave every cage sum
+   * reachable.
 
    * @param {string} puzzleString - The puzzle string to validate.
 
@@ -14,18 +106,46 @@ class SudokuSolver {
       return { valid: false, error: "Required field missing" };
     }
 
-    if (/[^1-9.]/.test(puzzleString)) {
-      return { valid: false, error: "Invalid characters in puzzle" };
+    const cellCount = this.size * this.size;
+
+    // A puzzle that isn't a string, such as a number sent as JSON, is
+    // checked by its string form, the way it always was, and then fails on
+    // its length
+
+    for (const char of String(puzzleString)) {
+      if (char !== "." && !this.symbols.includes(char)) {
+        return { valid: false, error: "Invalid characters in puzzle" };
+      }
     }
 
-    if (puzzleString.length !== 81) {
+    if (typeof puzzleString !== "string" || puzzleString.length !== cellCount) {
       return {
         valid: false,
 
-        error: "Expected puzzle to be 81 characters long",
+        error: `Expected puzzle to be ${cellCount} characters long`,
       };
     }
 
+    const reachable = this.cages.every(({ sum, cells }) => {
+      const givens = cells
+        .filter((cell) => puzzleString[cell] !== ".")
+        .map((cell) => this.symbols.indexOf(puzzleString[cell]) + 1);
+
+      return canReachSum(
+        this.size,
+
+        givens.reduce((mask, digit) => mask | (1 << (digit - 1)), 0),
+
+        cells.length - givens.length,
+
+        givens.reduce((left, digit) => left - digit, sum),
+      );
+    });
+
+    if (!reachable) {
+      return { valid: false, error: "Cage sum cannot be reached" };
+    }
+
     return { valid: true };
   }
 
@@ -45,11 +165,35 @@ class SudokuSolver {
 
   /**
 
-   * Creates a 9x9 grid from an 81-character puzzle string.
+   * Parses a coordinate such as "A1" or "P16" against this board's size.
+
+   * @param {string} coordinate - The row letter followed by the column number.
+
+   * @returns {{row: string, column: string}|null} - The upper-cased row and the column, or null if it is off the board.
+
+   */
+
+  parseCoordinate(coordinate) {
+    const match = /^([A-Z])([1-9]\d?)$/i.exec(coordinate);
+
+    if (
+      !match ||
+      this.letterToNumber(match[1]) >= this.size ||
+      parseInt(match[2], 10) > this.size
+    ) {
+      return null;
+    }
+
+    return { row: match[1].toUpperCase(), column: match[2] };
+  }
+
+  /**
+
+   * Creates an N×N grid from a puzzle string.
 
    * @param {string} puzzleString - The puzzle string.
 
-   * @returns {Array<Array<string|number>>} - The 9x9 grid.
+   * @returns {Array<Array<string|number>>} - The N×N grid.
 
    */
 
@@ -58,10 +202,10 @@ class SudokuSolver {
 
     let row = [];
 
-    for (let i = 0; i < 81; i++) {
+    for (let i = 0; i < this.size * this.size; i++) {
       row.push(puzzleString[i]);
 
-      if (row.length === 9) {
+      if (row.length === this.size) {
         grid.push(row);
 
         row = [];
@@ -75,13 +219,13 @@ class SudokuSolver {
 
    * Checks if placing a value in a given row would cause a conflict.
 
-   * @param {string} puzzleString - The 81-character puzzle string.
+   * @param {string} puzzleString - The puzzle string, one character per cell.
 
    * @param {string} row - The row to check (A-I).
 
-   * @param {string} column - The column to check (1-9).
+   * @param {string} column - The column to check (1-N).
 
-   * @param {string} value - The value to check (1-9).
+   * @param {string} value - The value to check (one of the board's symbols).
 
    * @returns {boolean} - True if placement is valid (no conflict), false otherwise.
 
@@ -136,7 +280,7 @@ class SudokuSolver {
     // To fix your failing test, we need to ensure the check correctly identifies the pre-existing '1' at A1 as a conflict.
 
     // Loop through the entire row
-    for (let i = 0; i < 9; i++) {
+    for (let i = 0; i < this.size; i++) {
       // If we are looking at the target cell itself
       if (i === colIndex) {
         // If the target cell is not empty ('.') AND its current value
@@ -168,7 +312,7 @@ class SudokuSolver {
     const rowIndex = this.letterToNumber(row);
     const colIndex = parseInt(column, 10) - 1;
 
-    for (let i = 0; i < 9; i++) {
+    for (let i = 0; i < this.size; i++) {
       if (i === rowIndex) {
         // If we are looking at the target cell itself
         if (grid[i][colIndex] !== "." && grid[i][colIndex] !== value) {
@@ -189,152 +333,497 @@ class SudokuSolver {
     const rowIndex = this.letterToNumber(row);
     const colIndex = parseInt(column, 10) - 1;
 
-    const startRow = Math.floor(rowIndex / 3) * 3;
-    const startCol = Math.floor(colIndex / 3) * 3;
-
-    for (let r = startRow; r < startRow + 3; r++) {
-      for (let c = startCol; c < startCol + 3; c++) {
-        if (r === rowIndex && c === colIndex) {
-          // If we are looking at the target cell itself
-          if (grid[r][c] !== "." && grid[r][c] !== value) {
-            return false; // Cannot overwrite a different number
-          }
-        } else {
-          // If we are looking at any other cell in the region
-          if (grid[r][c] === value) {
-            return false; // Conflict found
-          }
+    for (const [r, c] of this.regionOf(rowIndex, colIndex)) {
+      if (r === rowIndex && c === colIndex) {
+        // If we are looking at the target cell itself
+        if (grid[r][c] !== "." && grid[r][c] !== value) {
+          return false; // Cannot overwrite a different number
+        }
+      } else {
+        // If we are looking at any other cell in the region
+        if (grid[r][c] === value) {
+          return false; // Conflict found
         }
       }
     }
     return true;
   }
+
   /**
 
-   * Solves the Sudoku puzzle using a backtracking algorithm.
+   * Lists the cells of the region a cell belongs to: its box, or its jigsaw
+   * region when the solver has a region map.
 
-   * @param {string} puzzleString - The 81-character puzzle string.
+   * @param {number} rowIndex - The zero-based row.
 
-   * @returns {string|false} - The solved puzzle string, or false if unsolvable.
+   * @param {number} colIndex - The zero-based column.
+
+   * @returns {Array<[number, number]>} - The [row, column] pairs of the region.
 
    */
 
-  solve(puzzleString) {
-    const grid = this.stringToGrid(puzzleString);
+  regionOf(rowIndex, colIndex) {
+    if (this.regions) {
+      const cell = rowIndex * this.size + colIndex;
 
-    // Cleaner pre-validation of the board state.
+      return this.regions
+        .find((region) => region.includes(cell))
+        .map((other) => [Math.floor(other / this.size), other % this.size]);
+    }
 
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
-        if (grid[r][c] !== ".") {
-          const val = grid[r][c];
+    const startRow = Math.floor(rowIndex / this.boxRows) * this.boxRows;
+    const startCol = Math.floor(colIndex / this.boxCols) * this.boxCols;
 
-          // Temporarily remove the value to check against the rest of the puzzle
+    const cells = [];
 
-          grid[r][c] = ".";
+    for (let r = startRow; r < startRow + this.boxRows; r++) {
+      for (let c = startCol; c < startCol + this.boxCols; c++) {
+        cells.push([r, c]);
+      }
+    }
 
-          if (
-            !this.checkRowPlacement(
-              grid.flat().join(""),
+    return cells;
+  }
 
-              String.fromCharCode(65 + r),
+  /**
 
-              (c + 1).toString(),
+   * Checks a placement against the solver's variant constraints, the same way
+   * the row, column and region checks do.
 
-              val,
-            ) ||
-            !this.checkColPlacement(
-              grid.flat().join(""),
+   * @param {string} puzzleString - The puzzle string, one character per cell.
 
-              String.fromCharCode(65 + r),
+   * @param {string} row - The row to check (A-I on a 9x9 board).
 
-              (c + 1).toString(),
+   * @param {string} column - The column to check (1-N).
 
-              val,
-            ) ||
-            !this.checkRegionPlacement(
-              grid.flat().join(""),
+   * @param {string} value - The value to check (one of the board's symbols).
 
-              String.fromCharCode(65 + r),
+   * @returns {string[]} - The names of the variants the placement violates, in the order they were requested.
 
-              (c + 1).toString(),
+   */
 
-              val,
-            )
-          ) {
-            return false; // Invalid initial puzzle
-          }
+  checkVariantPlacement(puzzleString, row, column, value) {
+    const cell =
+      this.letterToNumber(row) * this.size + parseInt(column, 10) - 1;
 
-          grid[r][c] = val; // Restore the value
-        }
+    const { units, unitKinds, cellUnits, cellPeers, peerKinds } = this.geometry;
+
+    const violated = new Set();
+
+    cellUnits[cell].forEach((unit) => {
+      if (
+        this.variants.includes(unitKinds[unit]) &&
+        units[unit].some(
+          (other) => other !== cell && puzzleString[other] === value,
+        )
+      ) {
+        violated.add(unitKinds[unit]);
       }
+    });
+
+    cellPeers[cell].forEach((peer, i) => {
+      if (puzzleString[peer] === value) violated.add(peerKinds[cell][i]);
+    });
+
+    return this.variants.filter((name) => violated.has(name));
+  }
+
+  /**
+
+   * Checks if placing a value would repeat a digit in the cell's Killer cage
+   * or leave the cage sum out of reach.
+
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @param {string} row - The row to check (A-I on a 9x9 board).
+
+   * @param {string} column - The column to check (1-N).
+
+   * @param {string} value - The value to check (one of the board's symbols).
+
+   * @returns {boolean} - True if placement is valid (no conflict), false otherwise.
+
+   */
+
+  checkCagePlacement(puzzleString, row, column, value) {
+    const cell =
+      this.letterToNumber(row) * this.size + parseInt(column, 10) - 1;
+
+    const cage = this.cages.find(({ cells }) => cells.includes(cell));
+
+    if (!cage) {
+      return true;
     }
 
-    const solveGrid = (currentGrid) => {
-      const find = findEmpty(currentGrid);
+    const digits = cage.cells
+      .filter((other) => other !== cell && puzzleString[other] !== ".")
+      .map((other) => this.symbols.indexOf(puzzleString[other]) + 1);
 
-      if (!find) {
-        return currentGrid;
-      }
+    digits.push(this.symbols.indexOf(value) + 1);
+
+    if (new Set(digits).size !== digits.length) {
+      return false;
+    }
 
-      const [row, col] = find;
+    return canReachSum(
+      this.size,
 
-      for (let num = 1; num <= 9; num++) {
-        if (isValidPlacement(currentGrid, row, col, num.toString())) {
-          currentGrid[row][col] = num.toString();
+      digits.reduce((mask, digit) => mask | (1 << (digit - 1)), 0),
 
-          if (solveGrid(currentGrid)) {
-            return currentGrid;
-          }
+      cage.cells.length - digits.length,
 
-          currentGrid[row][col] = ".";
-        }
-      }
+      digits.reduce((left, digit) => left - digit, cage.sum),
+    );
+  }
+
+  /**
+
+   * Runs every placement check for a value: row, column, region, cage and
+   * the variants, as /api/check reports them.
+
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @param {string} row - The row to check (A-I on a 9x9 board).
+
+   * @param {string} column - The column to check (1-N).
+
+   * @param {string} value - The value to check (one of the board's symbols).
+
+   * @returns {string[]} - The rules the placement breaks ("row", "column", "region", "cage" and variant names); empty if it is valid.
+
+   */
+
+  placementConflicts(puzzleString, row, column, value) {
+    const conflicts = [];
+
+    if (!this.checkRowPlacement(puzzleString, row, column, value)) {
+      conflicts.push("row");
+    }
+
+    if (!this.checkColPlacement(puzzleString, row, column, value)) {
+      conflicts.push("column");
+    }
+
+    if (!this.checkRegionPlacement(puzzleString, row, column, value)) {
+      conflicts.push("region");
+    }
+
+    if (!this.checkCagePlacement(puzzleString, row, column, value)) {
+      conflicts.push("cage");
+    }
+
+    conflicts.push(
+      ...this.checkVariantPlacement(puzzleString, row, column, value),
+    );
+
+    return conflicts;
+  }
+
+  /**
+
+   * Checks that every given clue is consistent with the others, i.e. no digit
+   * is repeated in any row, column, region, variant constraint or cage, and
+   * no cage sum is already out of reach.
+
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @returns {boolean} - True if the givens do not conflict, false otherwise.
+
+   */
+
+  hasValidGivens(puzzleString) {
+    return engine.load(puzzleString, this.geometry) !== null;
+  }
+
+  /**
+
+   * Solves the Sudoku puzzle with the bitmask search engine.
 
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @param {{timeLimit?: number}} [options] - Overrides the solver's time limit.
+
+   * @returns {string|false} - The solved puzzle string, or false if unsolvable.
+
+   * @throws {SearchTimeoutError} - If the search runs out of time.
+
+   */
+
+  solve(puzzleString, options = {}) {
+    const { solutions } = this.countSolutions(puzzleString, 1, options);
+
+    if (solutions.length === 0) {
       return false;
-    };
+    }
 
-    const findEmpty = (g) => {
-      for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
-          if (g[r][c] === ".") {
-            return [r, c];
-          }
-        }
-      }
+    return solutions[0];
+  }
 
-      return null;
-    };
+  /**
 
-    const isValidPlacement = (g, row, col, num) => {
-      for (let x = 0; x < 9; x++) {
-        if (g[row][x] === num) return false;
-      }
+   * Counts the solutions of a puzzle, stopping once `limit` have been found.
+   * A count below the limit is exact; a count equal to it means "at least".
 
-      for (let x = 0; x < 9; x++) {
-        if (g[x][col] === num) return false;
-      }
+   * @param {string} puzzleString - The puzzle string, one character per cell.
 
-      const startRow = Math.floor(row / 3) * 3;
+   * @param {number} [limit=2] - The maximum number of solutions to look for.
 
-      const startCol = Math.floor(col / 3) * 3;
+   * @param {{timeLimit?: number}} [options] - Overrides the solver's time limit.
 
-      for (let i = 0; i < 3; i++) {
-        for (let j = 0; j < 3; j++) {
-          if (g[i + startRow][j + startCol] === num) return false;
-        }
-      }
+   * @returns {{count: number, solutions: string[]}} - The number of solutions found and the solved strings.
 
-      return true;
+   * @throws {SearchTimeoutError} - If the search runs out of time.
+
+   */
+
+  countSolutions(puzzleString, limit = 2, options = {}) {
+    const { timeLimit = this.timeLimit } = options;
+
+    const state = this.validate(puzzleString).valid
+      ? engine.load(puzzleString, this.geometry)
+      : null;
+
+    if (!state) {
+      return { count: 0, solutions: [] };
+    }
+
+    const solutions = engine.search(state, limit, Date.now() + timeLimit);
+
+    return { count: solutions.length, solutions };
+  }
+
+  /**
+
+   * Explains what is wrong with a puzzle, or that nothing is: lists every
+   * clash among the givens with the unit (or cage, or variant rule) it
+   * happens in, and tells contradictory givens apart from consistent givens
+   * that still have no solution.
+
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @returns {{status: string, conflicts: Array<{unit: string, value: string, cells: string[]}>}|false} - The status ("contradictory", "unsolvable", "unique" or "multiple") and the clashes, with the cells as coordinates, or false if the puzzle is invalid.
+
+   */
+
+  analyze(puzzleString) {
+    if (!this.validate(puzzleString).valid) {
+      return false;
+    }
+
+    const conflicts = this.conflictsIn(puzzleString);
+
+    if (conflicts.length > 0) {
+      return { status: "contradictory", conflicts };
+    }
+
+    const { count } = this.countSolutions(puzzleString, 2);
+
+    return { status: ["unsolvable", "unique", "multiple"][count], conflicts };
+  }
+
+  /**
+
+   * Checks a player's grid against the puzzle and its solution: whether it is
+   * complete and correct, which of the player's digits are wrong, which
+   * digits clash with each other, and which givens were changed.
+
+   * @param {string} puzzleString - The puzzle string.
+
+   * @param {string} gridString - The player's grid, "." for empty cells.
+
+   * @param {string} solution - The puzzle's unique solution.
+
+   * @returns {{complete: boolean, correct: boolean, wrong: string[], conflicts: Object[], changedGivens: string[]}} - The report, with cells as coordinates (see analyze for the conflicts).
+
+   */
+
+  verify(puzzleString, gridString, solution) {
+    const cells = (test) =>
+      [...gridString]
+        .map((char, cell) =>
+          test(char, cell) ? coordinate(cell, this.size) : null,
+        )
+        .filter((cell) => cell);
+
+    return {
+      complete: !gridString.includes("."),
+
+      correct: gridString === solution,
+
+      wrong: cells(
+        (char, cell) =>
+          puzzleString[cell] === "." && char !== "." && char !== solution[cell],
+      ),
+
+      conflicts: this.conflictsIn(gridString),
+
+      changedGivens: cells(
+        (char, cell) =>
+          puzzleString[cell] !== "." && char !== puzzleString[cell],
+      ),
     };
+  }
+
+  // Every clash among the digits of a grid, with the cells as coordinates
 
-    const solvedGrid = solveGrid(grid);
+  conflictsIn(puzzleString) {
+    return engine
+      .givenConflicts(puzzleString, this.geometry)
+      .map(({ kind, digit, cells }) => ({
+        unit: kind,
 
-    if (!solvedGrid) {
+        value: this.symbols[digit - 1],
+
+        cells: cells.map((cell) => coordinate(cell, this.size)),
+      }));
+  }
+
+  /**
+
+   * Lists the legal digits of every empty cell, i.e. the digits not already
+   * placed in its row, column or region.
+
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @returns {Object<string, string[]>} - The candidates keyed by coordinate (A1-I9 on a 9x9 board).
+
+   */
+
+  getCandidates(puzzleString) {
+    const masks = engine.candidateMasks(puzzleString, this.geometry);
+
+    const candidates = {};
+
+    masks.forEach((mask, cell) => {
+      if (puzzleString[cell] !== ".") return;
+
+      candidates[coordinate(cell, this.size)] = this.symbols
+        .split("")
+        .filter((symbol, i) => mask & (1 << i));
+    });
+
+    return candidates;
+  }
+
+  /**
+
+   * Maps a puzzle to the canonical representative of every puzzle that is
+   * the same up to relabelling digits, reordering rows within bands, bands,
+   * columns within stacks and stacks, transposing, and so rotating and
+   * reflecting (see transformations.js). Only classic boards of 9x9 or
+   * smaller have a canonical form.
+
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @returns {{canonical: string, transform: Object}|false} - The canonical puzzle string and a transformation that produces it, or false if the puzzle is invalid or the board has none.
+
+   */
+
+  canonicalize(puzzleString) {
+    if (!this.hasCanonicalForm() || !this.validate(puzzleString).valid) {
       return false;
     }
 
-    return solvedGrid.flat().join("");
+    return canonicalize(this.cellValues(puzzleString), this);
+  }
+
+  /**
+
+   * Works out whether two puzzles are the same puzzle in disguise.
+
+   * @param {string} first - The first puzzle string.
+
+   * @param {string} second - The second puzzle string.
+
+   * @returns {{canonical: string, transform: Object}|null|false} - Their shared canonical form and a transformation from the first puzzle to the second, null if they aren't equivalent, or false if either is invalid or the board has no canonical form.
+
+   */
+
+  findTransform(first, second) {
+    if (
+      !this.hasCanonicalForm() ||
+      !this.validate(first).valid ||
+      !this.validate(second).valid
+    ) {
+      return false;
+    }
+
+    return findTransform(
+      this.cellValues(first),
+
+      this.cellValues(second),
+
+      this,
+    );
+  }
+
+  /**
+
+   * Applies a transformation (see transformations.js) to a puzzle.
+
+   * @param {string} puzzleString - The puzzle string, one character per cell.
+
+   * @param {Object} transform - The transformation.
+
+   * @returns {string} - The transformed puzzle string.
+
+   */
+
+  applyTransform(puzzleString, transform) {
+    return applyTransform(this.cellValues(puzzleString), transform, this)
+      .map((digit) => (digit ? this.symbols[digit - 1] : "."))
+      .join("");
+  }
+
+  hasCanonicalForm() {
+    return (
+      this.size <= 9 &&
+      this.variants.length === 0 &&
+      this.cages.length === 0 &&
+      !this.regions
+    );
+  }
+
+  // The digit in every cell, 0 for blanks
+
+  cellValues(puzzleString) {
+    return this.stringToGrid(puzzleString)
+      .flat()
+      .map((char) => this.symbols.indexOf(char) + 1);
+  }
+
+  /**
+
+   * Rates how hard a puzzle is for a human, based on the techniques the
+   * logical solver needs and whether it has to guess. The logical solver only
+   * knows classic 9x9 boards.
+
+   * @param {string} puzzleString - The 81-character puzzle string.
+
+   * @returns {Object|false} - The rating (see difficulty.grade), or false if the puzzle is invalid or unsolvable.
+
+   */
+
+  rate(puzzleString) {
+    if (
+      this.size !== 9 ||
+      this.variants.length > 0 ||
+      this.cages.length > 0 ||
+      this.regions ||
+      !this.validate(puzzleString).valid
+    ) {
+      return false;
+    }
+
+    const solution = this.solve(puzzleString);
+
+    if (!solution) {
+      return false;
+    }
+
+    const { steps } = new LogicalSolver().solve(puzzleString, { solution });
+
+    return grade(steps);
   }
 }
 
@@ -0,0 +1,640 @@
+const { createRandom, randomSeed, shuffle } = require("./random.js");
+
+/**
+
+ * The transformations that turn a Sudoku into the same puzzle in disguise:
+ * relabelling the digits, reordering the rows within a band and the bands
+ * themselves, the same for columns and stacks, and (on boards with square
+ * boxes) transposing. Rotations and reflections are combinations of these.
+ *
+ * A transformation is written as
+ *
+ *     { transpose, rows: "BACDEFGHI", columns: "213456789", digits: "234567891" }
+ *
+ * and applied in that order: the grid is transposed if `transpose` is set,
+ * then row A of the result is the row `rows[0]` names, column 1 is the column
+ * `columns[0]` names, and finally every digit d becomes `digits[d - 1]`.
+
+ */
+
+// The row (or column) orders that keep every band (or stack) together:
+// every order of the bands, with every order of the lines within each
+
+function lineOrders(size, bandSize) {
+  const bands = Array.from({ length: size / bandSize }, (_, b) =>
+    Array.from({ length: bandSize }, (_, i) => b * bandSize + i),
+  );
+
+  return permutations(bands).reduce(
+    (orders, bandOrder) =>
+      orders.concat(
+        bandOrder.reduce(
+          (partial, band) =>
+            partial.flatMap((order) =>
+              permutations(band).map((lines) => order.concat(lines)),
+            ),
+          [[]],
+        ),
+      ),
+    [],
+  );
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items.slice()];
+
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map((rest) => [
+      item,
+      ...rest,
+    ]),
+  );
+}
+
+// Orders are cached by board shape, since they are the same for every puzzle
+
+const orderCache = new Map();
+
+function ordersFor(shape) {
+  const key = `${shape.boxRows}x${shape.boxCols}`;
+
+  if (!orderCache.has(key)) {
+    orderCache.set(key, {
+      rows: lineOrders(shape.size, shape.boxRows),
+
+      columns: lineOrders(shape.size, shape.boxCols),
+    });
+  }
+
+  return orderCache.get(key);
+}
+
+// The orders that give different grids: orders that only swap identical
+// lines, e.g. two blank columns, give the same one, so just the first of
+// them is kept. Near-empty grids have millions of orders but few distinct
+// ones.
+
+function distinctOrders(orders, lineOf) {
+  const ids = new Map();
+
+  const lineIds = Array.from({ length: orders[0].length }, (_, line) => {
+    const key = lineOf(line).join(",");
+
+    if (!ids.has(key)) ids.set(key, ids.size);
+
+    return ids.get(key);
+  });
+
+  const seen = new Set();
+
+  return orders.filter((order) => {
+    const key = order.map((line) => lineIds[line]).join(",");
+
+    if (seen.has(key)) return false;
+
+    seen.add(key);
+
+    return true;
+  });
+}
+
+function compare(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+
+  return 0;
+}
+
+function transposed(values, size) {
+  return values.map(
+    (_, cell) => values[(cell % size) * size + Math.floor(cell / size)],
+  );
+}
+
+/**
+
+ * Finds the canonical form of a grid: the lexicographically smallest string
+ * among all its transformations, with blanks counting as 0. Two puzzles are
+ * the same puzzle in disguise exactly when their canonical forms match.
+ *
+ * Of the 3.4 million transformations of a 9x9 board, only those giving the
+ * smallest possible first row are tried, and each is dropped at the first
+ * cell where it falls behind the best so far.
+
+ * @param {number[]} values - The digit in every cell, 0 for blanks.
+
+ * @param {{size: number, boxRows: number, boxCols: number, symbols: string}} shape - The board shape (see board-shapes.js).
+
+ * @returns {{canonical: string, transform: Object}} - The canonical puzzle string and a transformation that produces it.
+
+ */
+
+function canonicalize(values, shape) {
+  const { size, boxRows, boxCols, symbols } = shape;
+
+  const orders = ordersFor(shape);
+
+  const cellCount = size * size;
+
+  let best = null;
+
+  let found = null;
+
+  const candidate = new Int8Array(cellCount);
+
+  const labels = new Int8Array(size + 1);
+
+  const grids = [{ transpose: false, grid: Int8Array.from(values) }];
+
+  if (boxRows === boxCols) {
+    grids.push({
+      transpose: true,
+
+      grid: Int8Array.from(transposed(values, size)),
+    });
+  }
+
+  grids.forEach((entry) => {
+    const { grid } = entry;
+
+    entry.rowOrders = distinctOrders(orders.rows, (r) =>
+      Array.from(grid.subarray(r * size, (r + 1) * size)),
+    );
+
+    entry.colOrders = distinctOrders(orders.columns, (c) =>
+      Array.from({ length: size }, (_, r) => grid[r * size + c]),
+    );
+  });
+
+  // The canonical form starts with the smallest first row any row and column
+  // order can produce, so only the orders that produce it need following
+
+  const firstRow = (grid, row, colOrder) => {
+    labels.fill(0);
+
+    let next = 0;
+
+    return colOrder.map((c) => {
+      const digit = grid[row * size + c];
+
+      if (digit && !labels[digit]) labels[digit] = ++next;
+
+      return digit ? labels[digit] : 0;
+    });
+  };
+
+  const starts = [];
+
+  let smallest = null;
+
+  grids.forEach(({ transpose, grid, rowOrders, colOrders }) => {
+    for (let row = 0; row < size; row++) {
+      colOrders.forEach((colOrder) => {
+        const labelled = firstRow(grid, row, colOrder);
+
+        const order = smallest === null ? -1 : compare(labelled, smallest);
+
+        if (order > 0) return;
+
+        if (order < 0) {
+          smallest = labelled;
+
+          starts.length = 0;
+        }
+
+        let start = starts.find(
+          (s) => s.transpose === transpose && s.row === row,
+        );
+
+        if (!start) {
+          start = { transpose, grid, rowOrders, row, colOrders: [] };
+
+          starts.push(start);
+        }
+
+        start.colOrders.push(colOrder);
+      });
+    }
+  });
+
+  const rowStarts = new Int16Array(size);
+
+  starts.forEach(({ transpose, grid, rowOrders, row, colOrders }) => {
+    rowOrders.forEach((rowOrder) => {
+      if (rowOrder[0] !== row) return;
+
+      rowOrder.forEach((line, r) => (rowStarts[r] = line * size));
+
+      colOrders.forEach((colOrder) => {
+        labels.fill(0);
+
+        let next = 0;
+
+        let ahead = best === null;
+
+        for (let r = 0, k = 0; r < size; r++) {
+          for (let c = 0; c < size; c++, k++) {
+            const digit = grid[rowStarts[r] + colOrder[c]];
+
+            if (digit && !labels[digit]) labels[digit] = ++next;
+
+            const label = digit ? labels[digit] : 0;
+
+            if (!ahead) {
+              if (label > best[k]) return;
+
+              if (label < best[k]) ahead = true;
+            }
+
+            candidate[k] = label;
+          }
+        }
+
+        if (!ahead) return;
+
+        best = candidate.slice();
+
+        found = { transpose, rowOrder, colOrder, labels: labels.slice() };
+      });
+    });
+  });
+
+  return {
+    canonical: Array.from(best, (label) =>
+      label ? symbols[label - 1] : ".",
+    ).join(""),
+
+    transform: describe(found, shape),
+  };
+}
+
+// Writes the winning orders and labels in the transformation format. Digits
+// the puzzle doesn't use take the labels left over, in order.
+
+function describe(
+  { transpose, rowOrder, colOrder, labels },
+  { size, symbols },
+) {
+  const unused = symbols.split("").filter((_, i) => !labels.includes(i + 1));
+
+  return {
+    transpose,
+
+    rows: rowOrder.map((r) => String.fromCharCode(65 + r)).join(""),
+
+    columns: colOrder.map((c) => c + 1).join(""),
+
+    digits: Array.from({ length: size }, (_, i) =>
+      labels[i + 1] ? symbols[labels[i + 1] - 1] : unused.shift(),
+    ).join(""),
+  };
+}
+
+// The cell of the original grid each cell of the transformed grid comes
+// from, and the symbol index every symbol index becomes
+
+function cellSources({ transpose, rows, columns }, size) {
+  const rowOrder = rows.split("").map((r) => r.charCodeAt(0) - 65);
+
+  const colOrder = columns.split("").map((c) => Number(c) - 1);
+
+  return Array.from({ length: size * size }, (_, cell) => {
+    const r = rowOrder[Math.floor(cell / size)];
+
+    const c = colOrder[cell % size];
+
+    return transpose ? c * size + r : r * size + c;
+  });
+}
+
+function digitMap({ digits }, symbols) {
+  return digits.split("").map((symbol) => symbols.indexOf(symbol) + 1);
+}
+
+/**
+
+ * Applies a transformation to a grid.
+
+ * @param {number[]} values - The digit in every cell, 0 for blanks.
+
+ * @param {Object} transform - The transformation (see the top of this file).
+
+ * @param {{size: number, symbols: string}} shape - The board shape.
+
+ * @returns {number[]} - The transformed grid.
+
+ */
+
+function applyTransform(values, transform, { size, symbols }) {
+  const digits = digitMap(transform, symbols);
+
+  return cellSources(transform, size).map((source) =>
+    values[source] ? digits[values[source] - 1] : 0,
+  );
+}
+
+// Writes a transformation given the cell each cell of the result comes from
+// and what each digit becomes. The sources must be those of some
+// transformation, e.g. a combination of two.
+
+function fromSources(sources, digits, { size, symbols }) {
+  const transpose =
+    size > 1 && Math.floor(sources[0] / size) !== Math.floor(sources[1] / size);
+
+  // Rows and columns are those of the original grid after transposing, if
+  // the transformation transposes
+
+  const rowOf = (cell) => (transpose ? cell % size : Math.floor(cell / size));
+
+  const colOf = (cell) => (transpose ? Math.floor(cell / size) : cell % size);
+
+  return {
+    transpose,
+
+    rows: Array.from({ length: size }, (_, r) =>
+      String.fromCharCode(65 + rowOf(sources[r * size])),
+    ).join(""),
+
+    columns: Array.from({ length: size }, (_, c) => colOf(sources[c]) + 1).join(
+      "",
+    ),
+
+    digits: digits.map((digit) => symbols[digit - 1]).join(""),
+  };
+}
+
+/**
+
+ * Combines transformations into one that has the same effect as applying
+ * them in order.
+
+ * @param {Object[]} transforms - The transformations.
+
+ * @param {{size: number, symbols: string}} shape - The board shape.
+
+ * @returns {Object} - The combined transformation.
+
+ */
+
+function composeTransforms(transforms, shape) {
+  const { size, symbols } = shape;
+
+  let sources = Array.from({ length: size * size }, (_, cell) => cell);
+
+  let digits = Array.from({ length: size }, (_, i) => i + 1);
+
+  transforms.forEach((transform) => {
+    const next = digitMap(transform, symbols);
+
+    sources = cellSources(transform, size).map((cell) => sources[cell]);
+
+    digits = digits.map((digit) => next[digit - 1]);
+  });
+
+  return fromSources(sources, digits, shape);
+}
+
+/**
+
+ * Finds a transformation that turns one grid into another.
+
+ * @param {number[]} from - The first grid.
+
+ * @param {number[]} to - The second grid.
+
+ * @param {Object} shape - The board shape (see board-shapes.js).
+
+ * @returns {{canonical: string, transform: Object}|null} - The grids' shared canonical form and a transformation from the first to the second, or null if they aren't the same puzzle.
+
+ */
+
+function findTransform(from, to, shape) {
+  const { size, symbols } = shape;
+
+  const first = canonicalize(from, shape);
+
+  const second = canonicalize(to, shape);
+
+  if (first.canonical !== second.canonical) return null;
+
+  // Both lead to the canonical form, so the way there from the first grid
+  // followed by the way back from it to the second is the transformation
+
+  const secondSources = cellSources(second.transform, size);
+
+  const secondDigits = digitMap(second.transform, symbols);
+
+  const sourcesBack = [];
+
+  secondSources.forEach((cell, k) => (sourcesBack[cell] = k));
+
+  const back = fromSources(
+    sourcesBack,
+
+    Array.from({ length: size }, (_, i) => secondDigits.indexOf(i + 1) + 1),
+
+    shape,
+  );
+
+  return {
+    canonical: first.canonical,
+
+    transform: composeTransforms([first.transform, back], shape),
+  };
+}
+
+// The operations /api/transform accepts, each an object with a `type`:
+//
+// - { type: "rotate", degrees: 90 | 180 | 270 }, clockwise
+// - { type: "mirror", axis: "vertical" | "horizontal" }: a vertical axis
+//   swaps left and right, a horizontal one top and bottom
+// - { type: "transpose" }, in the main diagonal
+// - { type: "relabel", digits: "987654321" }: digit d becomes digits[d - 1]
+// - { type: "swapBands", bands: [1, 3] } and { type: "swapStacks", stacks: [1, 2] }
+// - { type: "shuffle", seed }: a random transformation, reproducible from
+//   its seed
+
+/**
+
+ * Turns an operation into a transformation.
+
+ * @param {Object} operation - The operation (see the list above).
+
+ * @param {{size: number, boxRows: number, boxCols: number, symbols: string}} shape - The board shape.
+
+ * @returns {{transform?: Object, operation?: Object, error?: string}} - The transformation and the operation, with a seed picked for a shuffle without one, or an error.
+
+ */
+
+function operationTransform(operation, shape) {
+  const { size, boxRows, boxCols, symbols } = shape;
+
+  const { type } = operation || {};
+
+  const lines = Array.from({ length: size }, (_, i) => i);
+
+  const reversed = lines.slice().reverse();
+
+  const transform = ({
+    transpose = false,
+    rows = lines,
+    columns = lines,
+    digits = symbols,
+  }) => ({
+    transpose,
+
+    rows: rows.map((r) => String.fromCharCode(65 + r)).join(""),
+
+    columns: columns.map((c) => c + 1).join(""),
+
+    digits,
+  });
+
+  // Swaps two bands (or stacks) of `bandSize` lines, numbered from 1
+
+  const swapped = (pair, bandSize) => {
+    const count = size / bandSize;
+
+    if (
+      !Array.isArray(pair) ||
+      pair.length !== 2 ||
+      !pair.every((n) => Number.isInteger(n) && n >= 1 && n <= count)
+    ) {
+      return null;
+    }
+
+    const [a, b] = pair.map((n) => n - 1);
+
+    return lines.map((line) => {
+      const band = Math.floor(line / bandSize);
+
+      const other = band === a ? b : band === b ? a : band;
+
+      return other * bandSize + (line % bandSize);
+    });
+  };
+
+  const invalid = { error: "Invalid operations" };
+
+  const quarterTurn =
+    (type === "rotate" &&
+      (operation.degrees === 90 || operation.degrees === 270)) ||
+    type === "transpose";
+
+  if (quarterTurn && boxRows !== boxCols) {
+    return { error: "Quarter turns and transposing need square boxes" };
+  }
+
+  switch (type) {
+    case "rotate":
+      if (operation.degrees === 90) {
+        return {
+          operation,
+          transform: transform({ transpose: true, columns: reversed }),
+        };
+      }
+
+      if (operation.degrees === 180) {
+        return {
+          operation,
+          transform: transform({ rows: reversed, columns: reversed }),
+        };
+      }
+
+      if (operation.degrees === 270) {
+        return {
+          operation,
+          transform: transform({ transpose: true, rows: reversed }),
+        };
+      }
+
+      return invalid;
+
+    case "mirror":
+      if (operation.axis === "vertical") {
+        return { operation, transform: transform({ columns: reversed }) };
+      }
+
+      if (operation.axis === "horizontal") {
+        return { operation, transform: transform({ rows: reversed }) };
+      }
+
+      return invalid;
+
+    case "transpose":
+      return { operation, transform: transform({ transpose: true }) };
+
+    case "relabel": {
+      const { digits } = operation;
+
+      if (
+        typeof digits !== "string" ||
+        digits.length !== size ||
+        [...digits].sort().join("") !== [...symbols].sort().join("")
+      ) {
+        return invalid;
+      }
+
+      return { operation, transform: transform({ digits }) };
+    }
+
+    case "swapBands": {
+      const rows = swapped(operation.bands, boxRows);
+
+      return rows ? { operation, transform: transform({ rows }) } : invalid;
+    }
+
+    case "swapStacks": {
+      const columns = swapped(operation.stacks, boxCols);
+
+      return columns
+        ? { operation, transform: transform({ columns }) }
+        : invalid;
+    }
+
+    case "shuffle": {
+      const { seed = randomSeed() } = operation;
+
+      if (typeof seed !== "string" && !Number.isInteger(seed)) return invalid;
+
+      const random = createRandom(seed);
+
+      const order = (bandSize) =>
+        shuffle(
+          Array.from({ length: size / bandSize }, (_, band) => band),
+          random,
+        ).flatMap((band) =>
+          shuffle(
+            Array.from({ length: bandSize }, (_, i) => band * bandSize + i),
+            random,
+          ),
+        );
+
+      return {
+        operation: { ...operation, seed },
+
+        transform: transform({
+          rows: order(boxRows),
+
+          columns: order(boxCols),
+
+          transpose: boxRows === boxCols && random() < 0.5,
+
+          digits: shuffle(symbols.split(""), random).join(""),
+        }),
+      };
+    }
+
+    default:
+      return invalid;
+  }
+}
+
+module.exports = {
+  canonicalize,
+  applyTransform,
+  composeTransforms,
+  findTransform,
+  operationTransform,
+};
@@ -0,0 +1,147 @@
+/**
+
+ * Extra constraint sets that can be layered on top of the classic row,
+ * column and region rules. A variant either adds units (groups of cells that
+ * can't repeat a digit) or peers (pairs of cells that can't hold the same
+ * digit).
+
+ */
+
+const KNIGHT_MOVES = [
+  [-2, -1],
+  [-2, 1],
+  [-1, -2],
+  [-1, 2],
+  [1, -2],
+  [1, 2],
+  [2, -1],
+  [2, 1],
+];
+
+const KING_MOVES = [
+  [-1, -1],
+  [-1, 0],
+  [-1, 1],
+  [0, -1],
+  [0, 1],
+  [1, -1],
+  [1, 0],
+  [1, 1],
+];
+
+const VARIANTS = {
+  // Sudoku-X: both main diagonals hold every digit once
+
+  diagonal: {
+    units: (size) => [
+      Array.from({ length: size }, (_, i) => i * size + i),
+
+      Array.from({ length: size }, (_, i) => i * size + (size - 1 - i)),
+    ],
+  },
+
+  // Four extra 3x3 boxes, one cell in from each corner of the grid
+
+  windoku: {
+    sizes: [9],
+
+    units: () =>
+      [
+        [1, 1],
+        [1, 5],
+        [5, 1],
+        [5, 5],
+      ].map(([top, left]) => {
+        const cells = [];
+
+        for (let r = top; r < top + 3; r++) {
+          for (let c = left; c < left + 3; c++) cells.push(r * 9 + c);
+        }
+
+        return cells;
+      }),
+  },
+
+  "anti-knight": { peers: (size, cell) => movesFrom(size, cell, KNIGHT_MOVES) },
+
+  "anti-king": { peers: (size, cell) => movesFrom(size, cell, KING_MOVES) },
+};
+
+function movesFrom(size, cell, moves) {
+  const row = Math.floor(cell / size);
+
+  const col = cell % size;
+
+  return moves
+    .map(([dr, dc]) => [row + dr, col + dc])
+    .filter(([r, c]) => r >= 0 && r < size && c >= 0 && c < size)
+    .map(([r, c]) => r * size + c);
+}
+
+/**
+
+ * Validates a list of variant names for a board size.
+
+ * @param {*} variants - The requested variants.
+
+ * @param {number} [size=9] - The board size.
+
+ * @returns {{valid: boolean, error?: string}} - An object indicating if the variants are valid, and an error message if not.
+
+ */
+
+function validateVariants(variants, size = 9) {
+  if (
+    !Array.isArray(variants) ||
+    !variants.every(
+      (name) =>
+        Object.prototype.hasOwnProperty.call(VARIANTS, name) &&
+        (!VARIANTS[name].sizes || VARIANTS[name].sizes.includes(size)),
+    )
+  ) {
+    return { valid: false, error: "Invalid variants" };
+  }
+
+  return { valid: true };
+}
+
+/**
+
+ * Lists the extra units a set of variants adds to a board.
+
+ * @returns {Array<{kind: string, cells: number[]}>} - The units, tagged with the variant that adds them.
+
+ */
+
+function variantUnits(variants, size) {
+  return variants.flatMap((name) =>
+    VARIANTS[name].units
+      ? VARIANTS[name].units(size).map((cells) => ({ kind: name, cells }))
+      : [],
+  );
+}
+
+/**
+
+ * Lists the cells a set of variants forbids from sharing a digit with `cell`.
+
+ * @returns {Array<{kind: string, cell: number}>} - The peers, tagged with the variant that adds them.
+
+ */
+
+function variantPeers(variants, size, cell) {
+  return variants.flatMap((name) =>
+    VARIANTS[name].peers
+      ? VARIANTS[name]
+          .peers(size, cell)
+          .map((peer) => ({ kind: name, cell: peer }))
+      : [],
+  );
+}
+
+module.exports = {
+  VARIANT_NAMES: Object.keys(VARIANTS),
+  validateVariants,
+  variantUnits,
+  variantPeers,
+};
@@ -0,0 +1,355 @@
+// Type definitions for the library in index.js
+
+export type Size = 4 | 6 | 9 | 12 | 16 | 25;
+
+export type Format = "string" | "grid" | "sdk" | "ss" | "json" | "csv";
+
+export type Tier = "easy" | "medium" | "hard" | "expert" | "diabolical";
+
+export type Symmetry = "none" | "rotational" | "mirror" | "diagonal";
+
+export interface Cage {
+  sum: number;
+
+  cells: string[];
+}
+
+export interface BoardOptions {
+  size?: number;
+
+  variants?: string[];
+
+  cages?: Cage[];
+
+  regions?: string;
+
+  /** How many milliseconds a search may take; unlimited by default. */
+
+  timeLimit?: number;
+}
+
+export interface SearchOptions {
+  timeLimit?: number;
+}
+
+export interface Validation {
+  valid: boolean;
+
+  error?: string;
+}
+
+export interface Coordinate {
+  row: string;
+
+  column: string;
+}
+
+export interface Conflict {
+  unit: string;
+
+  value: string;
+
+  cells: string[];
+}
+
+export interface Analysis {
+  status: "contradictory" | "unsolvable" | "unique" | "multiple";
+
+  conflicts: Conflict[];
+}
+
+export interface Verification {
+  complete: boolean;
+
+  correct: boolean;
+
+  wrong: string[];
+
+  conflicts: Conflict[];
+
+  changedGivens: string[];
+}
+
+export interface Canonical {
+  canonical: string;
+
+  transform: object;
+}
+
+export interface Step {
+  technique: string;
+
+  [detail: string]: unknown;
+}
+
+export interface Rating {
+  tier: Tier;
+
+  score: number;
+
+  hardest: string | null;
+
+  guessing: boolean;
+
+  techniques: Record<string, number>;
+}
+
+export declare class SudokuSolver {
+  /**
+   * @throws {RangeError} If the size, variants, cages or regions aren't supported.
+   */
+
+  constructor(options?: BoardOptions);
+
+  readonly size: number;
+
+  readonly boxRows: number;
+
+  readonly boxCols: number;
+
+  readonly symbols: string;
+
+  readonly variants: string[];
+
+  readonly timeLimit: number;
+
+  validate(puzzleString: string): Validation;
+
+  letterToNumber(row: string): number;
+
+  parseCoordinate(coordinate: string): Coordinate | null;
+
+  stringToGrid(puzzleString: string): string[][];
+
+  checkRowPlacement(
+    puzzleString: string,
+    row: string,
+    column: string,
+    value: string,
+  ): boolean;
+
+  checkColPlacement(
+    puzzleString: string,
+    row: string,
+    column: string,
+    value: string,
+  ): boolean;
+
+  checkRegionPlacement(
+    puzzleString: string,
+    row: string,
+    column: string,
+    value: string,
+  ): boolean;
+
+  checkVariantPlacement(
+    puzzleString: string,
+    row: string,
+    column: string,
+    value: string,
+  ): string[];
+
+  checkCagePlacement(
+    puzzleString: string,
+    row: string,
+    column: string,
+    value: string,
+  ): boolean;
+
+  /** The rules the placement breaks; empty if it is valid. */
+
+  placementConflicts(
+    puzzleString: string,
+    row: string,
+    column: string,
+    value: string,
+  ): string[];
+
+  hasValidGivens(puzzleString: string): boolean;
+
+  /** @throws {SearchTimeoutError} If the search runs out of time. */
+
+  solve(puzzleString: string, options?: SearchOptions): string | false;
+
+  /** @throws {SearchTimeoutError} If the search runs out of time. */
+
+  countSolutions(
+    puzzleString: string,
+    limit?: number,
+    options?: SearchOptions,
+  ): { count: number; solutions: string[] };
+
+  analyze(puzzleString: string): Analysis | false;
+
+  verify(
+    puzzleString: string,
+    gridString: string,
+    solution: string,
+  ): Verification;
+
+  conflictsIn(puzzleString: string): Conflict[];
+
+  getCandidates(puzzleString: string): Record<string, string[]>;
+
+  canonicalize(puzzleString: string): Canonical | false;
+
+  findTransform(first: string, second: string): Canonical | null | false;
+
+  applyTransform(puzzleString: string, transform: object): string;
+
+  hasCanonicalForm(): boolean;
+
+  cellValues(puzzleString: string): number[];
+
+  rate(puzzleString: string): Rating | false;
+}
+
+export declare class SearchTimeoutError extends Error {}
+
+export declare class LogicalSolver {
+  solve(
+    puzzleString: string,
+    options?: { solution?: string },
+  ): { solved: boolean; puzzle: string; steps: Step[] };
+
+  hint(
+    puzzleString: string,
+    options?: { solution?: string },
+  ): {
+    cell: string;
+    value: string;
+    technique: string;
+    unit: string;
+    steps: Step[];
+  } | null;
+}
+
+export interface GeneratorOptions {
+  difficulty?: Tier;
+
+  symmetry?: Symmetry;
+
+  minClues?: number;
+
+  maxClues?: number;
+
+  seed?: number | string;
+}
+
+export interface GeneratedPuzzle {
+  puzzle: string;
+
+  solution: string;
+
+  clues: number;
+
+  difficulty: Rating;
+
+  symmetry: Symmetry;
+
+  seed: number | string;
+}
+
+export declare class PuzzleGenerator {
+  constructor(solver?: SudokuSolver, options?: { timeLimit?: number });
+
+  readonly timeLimit: number;
+
+  validateOptions(options?: GeneratorOptions): Validation;
+
+  generate(options?: GeneratorOptions): GeneratedPuzzle | null;
+}
+
+export declare const BOX_SHAPES: Record<Size, [number, number]>;
+
+export declare function boardShape(size: number): {
+  size: Size;
+  boxRows: number;
+  boxCols: number;
+  symbols: string;
+} | null;
+
+export declare function coordinate(cell: number, size?: number): string;
+
+export declare function cellIndex(coord: string, size?: number): number | null;
+
+export declare const VARIANT_NAMES: string[];
+
+export declare function validateVariants(
+  variants: unknown,
+  size?: number,
+): Validation;
+
+export declare function validateCages(
+  cages: unknown,
+  size?: number,
+): Validation;
+
+export declare function validateRegions(
+  regions: unknown,
+  size?: number,
+): Validation;
+
+export declare const FORMATS: Format[];
+
+export declare function parsePuzzle(
+  input: string | unknown[],
+  format: Format,
+  size?: number,
+): string | null;
+
+export declare function formatPuzzle(
+  puzzleString: string,
+  format: "json",
+  size?: number,
+): number[][];
+
+export declare function formatPuzzle(
+  puzzleString: string,
+  format: Exclude<Format, "json">,
+  size?: number,
+): string;
+
+export declare const TIERS: Tier[];
+
+export declare function grade(steps: Array<{ technique: string }>): Rating;
+
+/** Every export above as one object, the default export of index.mjs. */
+
+declare const library: {
+  SudokuSolver: typeof SudokuSolver;
+
+  LogicalSolver: typeof LogicalSolver;
+
+  PuzzleGenerator: typeof PuzzleGenerator;
+
+  SearchTimeoutError: typeof SearchTimeoutError;
+
+  BOX_SHAPES: typeof BOX_SHAPES;
+
+  boardShape: typeof boardShape;
+
+  coordinate: typeof coordinate;
+
+  cellIndex: typeof cellIndex;
+
+  VARIANT_NAMES: typeof VARIANT_NAMES;
+
+  validateVariants: typeof validateVariants;
+
+  validateCages: typeof validateCages;
+
+  validateRegions: typeof validateRegions;
+
+  FORMATS: typeof FORMATS;
+
+  parsePuzzle: typeof parsePuzzle;
+
+  formatPuzzle: typeof formatPuzzle;
+
+  TIERS: typeof TIERS;
+
+  grade: typeof grade;
+};
+
+export default library;
@@ -0,0 +1,52 @@
+/**
+
+ * The library: the solver and its helpers, with no server attached. This is
+ * the package's entry point; server.js is the web app built on top of it.
+ *
+ * Everything here runs in browsers too (see scripts/build.js), so it must
+ * only require modules that don't need Node.
+
+ */
+
+const SudokuSolver = require("./controllers/sudoku-solver.js");
+const LogicalSolver = require("./controllers/logical-solver.js");
+const PuzzleGenerator = require("./controllers/puzzle-generator.js");
+const { SearchTimeoutError } = require("./controllers/sudoku-engine.js");
+const {
+  BOX_SHAPES,
+  boardShape,
+  coordinate,
+  cellIndex,
+} = require("./controllers/board-shapes.js");
+const {
+  VARIANT_NAMES,
+  validateVariants,
+} = require("./controllers/variants.js");
+const { validateCages } = require("./controllers/cages.js");
+const { validateRegions } = require("./controllers/regions.js");
+const {
+  FORMATS,
+  parsePuzzle,
+  formatPuzzle,
+} = require("./controllers/puzzle-formats.js");
+const { TIERS, grade } = require("./controllers/difficulty.js");
+
+module.exports = {
+  SudokuSolver,
+  LogicalSolver,
+  PuzzleGenerator,
+  SearchTimeoutError,
+  BOX_SHAPES,
+  boardShape,
+  coordinate,
+  cellIndex,
+  VARIANT_NAMES,
+  validateVariants,
+  validateCages,
+  validateRegions,
+  FORMATS,
+  parsePuzzle,
+  formatPuzzle,
+  TIERS,
+  grade,
+};
@@ -0,0 +1,25 @@
+// The ES module entry point: the library in index.js, with named exports
+
+import library from "./index.js";
+
+export const {
+  SudokuSolver,
+  LogicalSolver,
+  PuzzleGenerator,
+  SearchTimeoutError,
+  BOX_SHAPES,
+  boardShape,
+  coordinate,
+  cellIndex,
+  VARIANT_NAMES,
+  validateVariants,
+  validateCages,
+  validateRegions,
+  FORMATS,
+  parsePuzzle,
+  formatPuzzle,
+  TIERS,
+  grade,
+} = library;
+
+export default library;
@@ -2,63 +2,442 @@ const textArea = document.getElementById("text-input");
 const coordInput = document.getElementById("coord");
 const valInput = document.getElementById("val");
 const errorMsg = document.getElementById("error");
+const sizeSelect = document.getElementById("size");
+const regionsInput = document.getElementById("regions");
+
+// Box shape (rows x columns) for each supported grid size
+const BOX_SHAPES = { 4: [2, 2], 6: [2, 3], 9: [3, 3], 12: [3, 4], 16: [4, 4], 25: [5, 5] };
+
+function gridSize() {
+  return parseInt(sizeSelect.value, 10);
+}
+
+// One region ID per cell: the jigsaw map if one of the right length has been
+// entered, otherwise the rectangular boxes
+function regionMap(size) {
+  const regions = regionsInput.value.trim();
+  if (regions.length === size * size) return regions;
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+  let map = "";
+  for (let i = 0; i < size * size; i++) {
+    const box =
+      Math.floor(Math.floor(i / size) / boxRows) * (size / boxCols) +
+      Math.floor((i % size) / boxCols);
+    map += String.fromCharCode(65 + box);
+  }
+  return map;
+}
+
+// The board options sent with every request
+function boardOptions() {
+  const options = { size: gridSize() };
+  if (regionsInput.value.trim()) options.regions = regionsInput.value.trim();
+  return options;
+}
+
+// The library (built by npm run build), so puzzles can be solved and checked
+// without the server. Until it loads, or if it can't, the API is used.
+let library = null;
+import("../dist/sudoku.mjs")
+  .then((module) => {
+    library = module;
+  })
+  .catch(() => {});
+
+// A solver for the current board, or null to ask the API, which also
+// explains why options it can't build a solver from are wrong
+function localSolver() {
+  if (!library) return null;
+  try {
+    return new library.SudokuSolver(boardOptions());
+  } catch (err) {
+    return null;
+  }
+}
+
+function postJson(path, body) {
+  return fetch(path, {
+    method: "POST",
+    headers: {
+      "Accept": "application/json",
+      "Content-type": "application/json"
+    },
+    body: JSON.stringify({ ...body, ...boardOptions() })
+  }).then((data) => data.json());
+}
+
+// The same answers as POST /api/solve and /api/check
+function solvePuzzle(puzzle) {
+  const solver = localSolver();
+  if (!solver) return postJson("/api/solve", { puzzle });
+  const puzzleValidation = solver.validate(puzzle);
+  if (!puzzleValidation.valid) return Promise.resolve({ error: puzzleValidation.error });
+  const solution = solver.solve(puzzle);
+  return Promise.resolve(solution ? { solution } : { error: "Puzzle cannot be solved" });
+}
+
+function checkPlacement(puzzle, coordinate, value) {
+  const solver = localSolver();
+  if (!solver) return postJson("/api/check", { puzzle, coordinate, value });
+  if (!puzzle || !coordinate || !value) return Promise.resolve({ error: "Required field(s) missing" });
+  const puzzleValidation = solver.validate(puzzle);
+  if (!puzzleValidation.valid) return Promise.resolve({ error: puzzleValidation.error });
+  const cell = solver.parseCoordinate(coordinate);
+  if (!cell) return Promise.resolve({ error: "Invalid coordinate" });
+  const digit = String(value).toUpperCase();
+  if (digit.length !== 1 || !solver.symbols.includes(digit)) return Promise.resolve({ error: "Invalid value" });
+  const conflict = solver.placementConflicts(puzzle, cell.row, cell.column, digit);
+  return Promise.resolve(conflict.length > 0 ? { valid: false, conflict } : { valid: true });
+}
 
 document.addEventListener("DOMContentLoaded", () => {
   textArea.value =
     "..9..5.1.85.4....2432......1...69.83.9.....6.62.71...9......1945....4.37.4.3..6..";
-  fillpuzzle(textArea.value);
+  buildGrid(gridSize());
+  newGame(textArea.value);
 });
 
 textArea.addEventListener("input", () => {
-  fillpuzzle(textArea.value);
+  newGame(textArea.value);
+});
+
+sizeSelect.addEventListener("change", () => {
+  const size = gridSize();
+  textArea.value = ".".repeat(size * size);
+  buildGrid(size);
+  newGame(textArea.value);
+});
+
+regionsInput.addEventListener("input", () => {
+  buildGrid(gridSize());
+  newGame(textArea.value);
 });
 
-function fillpuzzle(data) {
-  let len = data.length < 81 ? data.length : 81;
-  for (let i = 0; i < len; i++) {
-    let rowLetter = String.fromCharCode('A'.charCodeAt(0) + Math.floor(i / 9));
-    let col = (i % 9) + 1; 
-    if (!data[i] || data[i] === ".") {
-      document.getElementsByClassName(rowLetter + col)[0].innerText = " ";
+// Draws the axis legends and an empty size x size grid, with thick borders
+// between regions
+function buildGrid(size) {
+  const regions = regionMap(size);
+  const regionEndsAt = (r, c) => c + 1 < size && regions[r * size + c] !== regions[r * size + c + 1];
+  const yLegend = document.querySelector(".yAxisLegend");
+  const xLegend = document.querySelector(".xAxisLegend");
+  const body = document.querySelector(".grid tbody");
+  yLegend.innerHTML = "";
+  xLegend.innerHTML = "";
+  body.innerHTML = "";
+
+  const xRow = xLegend.insertRow();
+  for (let c = 0; c < size; c++) {
+    const td = xRow.insertCell();
+    td.innerText = c + 1;
+    // Keep the legend lined up with any thick border in the column
+    for (let r = 0; r < size; r++) {
+      if (regionEndsAt(r, c)) td.classList.add("box-right");
+    }
+  }
+
+  for (let r = 0; r < size; r++) {
+    const rowLetter = String.fromCharCode('A'.charCodeAt(0) + r);
+    yLegend.insertRow().insertCell().innerText = rowLetter;
+    const row = body.insertRow();
+    for (let c = 0; c < size; c++) {
+      const td = row.insertCell();
+      td.className = `${rowLetter}${c + 1} sudoku-input`;
+      td.title = `${rowLetter}${c + 1}`;
+      if (regionEndsAt(r, c)) td.classList.add("box-right");
+      if (r + 1 < size && regions[r * size + c] !== regions[(r + 1) * size + c]) td.classList.add("box-bottom");
+    }
+  }
+}
+
+// The game in play: the givens, the player's digits and pencil marks, the
+// undo and redo stacks, and the cells /api/check found in conflict
+const game = {
+  id: 0, size: 9, givens: "", values: [], marks: [], undone: [], redone: [],
+  selected: 0, pencil: false, conflicts: new Set(), started: 0, timer: null,
+};
+
+const gridTable = document.querySelector(".grid");
+const timerLabel = document.getElementById("timer");
+const pencilButton = document.getElementById("pencil-button");
+
+function symbolsFor(size) {
+  return "123456789ABCDEFGHIJKLMNOP".slice(0, size);
+}
+
+function coordinateOf(cell) {
+  return String.fromCharCode(65 + Math.floor(cell / game.size)) + ((cell % game.size) + 1);
+}
+
+function cellElement(cell) {
+  return document.getElementsByClassName(coordinateOf(cell))[0];
+}
+
+function boardString() {
+  return game.values.map((value) => value || ".").join("");
+}
+
+// Starts a game on a puzzle string; anything that isn't one of the board's
+// symbols is an empty cell
+function newGame(puzzle) {
+  const size = gridSize();
+  const symbols = symbolsFor(size);
+  game.id++;
+  game.size = size;
+  game.givens = "";
+  for (let i = 0; i < size * size; i++) {
+    game.givens += puzzle[i] && symbols.includes(puzzle[i]) ? puzzle[i] : ".";
+  }
+  game.values = [...game.givens].map((value) => (value === "." ? null : value));
+  game.marks = game.values.map(() => new Set());
+  game.undone = [];
+  game.redone = [];
+  game.conflicts = new Set();
+  game.selected = Math.max(game.givens.indexOf("."), 0);
+  buildDigitPad(symbols);
+  startTimer();
+  render();
+}
+
+function buildDigitPad(symbols) {
+  const pad = document.getElementById("digit-pad");
+  pad.innerHTML = "";
+  for (const symbol of symbols) {
+    const button = document.createElement("input");
+    button.type = "button";
+    button.value = symbol;
+    button.addEventListener("click", () => enter(symbol));
+    pad.appendChild(button);
+  }
+}
+
+// Draws every cell from the game state
+function render() {
+  const [boxRows, boxCols] = BOX_SHAPES[game.size];
+  const symbols = symbolsFor(game.size);
+  for (let cell = 0; cell < game.size * game.size; cell++) {
+    const td = cellElement(cell);
+    td.classList.toggle("given", game.givens[cell] !== ".");
+    td.classList.toggle("selected", cell === game.selected);
+    td.classList.toggle("conflict", game.conflicts.has(cell));
+    if (game.values[cell]) {
+      td.innerText = game.values[cell];
+      continue;
+    }
+    if (game.marks[cell].size === 0) {
+      td.innerText = " ";
       continue;
     }
-    document.getElementsByClassName(rowLetter + col)[0].innerText = data[i];
+    // Pencil marks sit where they would in a box
+    const marks = document.createElement("div");
+    marks.className = "marks";
+    marks.style.gridTemplateColumns = `repeat(${boxCols}, 1fr)`;
+    marks.style.gridTemplateRows = `repeat(${boxRows}, 1fr)`;
+    for (const symbol of symbols) {
+      const mark = document.createElement("span");
+      mark.innerText = game.marks[cell].has(symbol) ? symbol : "";
+      marks.appendChild(mark);
+    }
+    td.innerHTML = "";
+    td.appendChild(marks);
+  }
+  gridTable.classList.toggle("pencil-mode", game.pencil);
+  pencilButton.setAttribute("aria-pressed", String(game.pencil));
+  document.getElementById("undo-button").disabled = game.undone.length === 0;
+  document.getElementById("redo-button").disabled = game.redone.length === 0;
+}
+
+function select(cell) {
+  game.selected = cell;
+  render();
+}
+
+function togglePencil() {
+  game.pencil = !game.pencil;
+  render();
+}
+
+function cellState(cell) {
+  return { value: game.values[cell], marks: [...game.marks[cell]] };
+}
+
+// A move is the before and after state of every cell it changed; undo and
+// redo replay one side of it
+function play(move, side) {
+  for (const change of move) {
+    game.values[change.cell] = change[side].value;
+    game.marks[change.cell] = new Set(change[side].marks);
   }
-  return;
+  checkConflicts(move.map((change) => change.cell));
+  render();
 }
 
+function commit(move) {
+  if (move.length === 0) return;
+  game.undone.push(move);
+  game.redone = [];
+  play(move, "after");
+}
+
+// Puts a symbol in the selected cell, or toggles it as a pencil mark; null
+// erases the cell. Entering the digit a cell already holds clears it.
+function enter(symbol) {
+  const cell = game.selected;
+  if (game.givens[cell] !== ".") return;
+  const before = cellState(cell);
+  const after = { value: null, marks: [] };
+  if (symbol && game.pencil) {
+    if (before.value) return;
+    const marks = new Set(before.marks);
+    marks.has(symbol) ? marks.delete(symbol) : marks.add(symbol);
+    after.marks = [...marks];
+  } else if (symbol && symbol !== before.value) {
+    after.value = symbol;
+  }
+  commit([{ cell, before, after }]);
+}
+
+function undo() {
+  const move = game.undone.pop();
+  if (!move) return;
+  game.redone.push(move);
+  play(move, "before");
+}
+
+function redo() {
+  const move = game.redone.pop();
+  if (!move) return;
+  game.undone.push(move);
+  play(move, "after");
+}
+
+// Fills the empty cells from a solution, as one move that can be undone
+function fillSolution(solution) {
+  const move = [];
+  for (let cell = 0; cell < game.size * game.size; cell++) {
+    if (game.givens[cell] !== "." || game.values[cell] === solution[cell]) continue;
+    move.push({ cell, before: cellState(cell), after: { value: solution[cell], marks: [] } });
+  }
+  commit(move);
+}
+
+// The player's filled cells sharing a row, column or region with a cell
+function peersOf(cell) {
+  const regions = regionMap(game.size);
+  const row = Math.floor(cell / game.size);
+  const col = cell % game.size;
+  const peers = [];
+  for (let other = 0; other < game.size * game.size; other++) {
+    if (other === cell || game.givens[other] !== "." || !game.values[other]) continue;
+    if (Math.floor(other / game.size) === row || other % game.size === col || regions[other] === regions[cell]) {
+      peers.push(other);
+    }
+  }
+  return peers;
+}
+
+// Asks /api/check about the changed cells, their peers and every cell
+// already in conflict. Each cell is checked against the board with itself
+// left empty; an answer is dropped if the cell has changed since.
+function checkConflicts(changed) {
+  const cells = new Set(game.conflicts);
+  for (const cell of changed) {
+    cells.add(cell);
+    peersOf(cell).forEach((peer) => cells.add(peer));
+  }
+  for (const cell of cells) {
+    const value = game.values[cell];
+    if (!value || game.givens[cell] !== ".") {
+      game.conflicts.delete(cell);
+      continue;
+    }
+    const id = game.id;
+    const board = boardString();
+    const puzzle = board.slice(0, cell) + "." + board.slice(cell + 1);
+    checkPlacement(puzzle, coordinateOf(cell), value)
+      .then((parsed) => {
+        if (id !== game.id || game.values[cell] !== value || parsed.error) return;
+        parsed.valid ? game.conflicts.delete(cell) : game.conflicts.add(cell);
+        render();
+        checkFinished();
+      })
+      .catch(() => {});
+  }
+  checkFinished();
+}
+
+function startTimer() {
+  clearInterval(game.timer);
+  game.started = Date.now();
+  timerLabel.classList.remove("solved");
+  const tick = () => {
+    const seconds = Math.floor((Date.now() - game.started) / 1000);
+    timerLabel.innerText = `${String(Math.floor(seconds / 60)).padStart(2, "0")}:${String(seconds % 60).padStart(2, "0")}`;
+  };
+  tick();
+  game.timer = setInterval(tick, 1000);
+}
+
+// The clock stops once every cell is filled and nothing is in conflict
+function checkFinished() {
+  if (game.values.includes(null) || game.conflicts.size > 0) return;
+  clearInterval(game.timer);
+  timerLabel.classList.add("solved");
+}
+
+gridTable.addEventListener("click", (event) => {
+  const td = event.target.closest(".sudoku-input");
+  if (!td) return;
+  const [row, col] = [td.parentElement.rowIndex, td.cellIndex];
+  select(row * game.size + col);
+  gridTable.focus();
+});
+
+gridTable.addEventListener("keydown", (event) => {
+  const key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+  const row = Math.floor(game.selected / game.size);
+  const col = game.selected % game.size;
+  const moves = {
+    ArrowUp: [row - 1, col], ArrowDown: [row + 1, col],
+    ArrowLeft: [row, col - 1], ArrowRight: [row, col + 1],
+  };
+  if (event.ctrlKey || event.metaKey) {
+    if (key === "Z" && !event.shiftKey) undo();
+    else if (key === "Y" || key === "Z") redo();
+    else return;
+  } else if (moves[key]) {
+    const [r, c] = moves[key];
+    if (r < 0 || c < 0 || r >= game.size || c >= game.size) return;
+    select(r * game.size + c);
+  } else if (symbolsFor(game.size).includes(key)) {
+    enter(key);
+  } else if (["Backspace", "Delete", ".", "0"].includes(key)) {
+    enter(null);
+  } else if (key === " ") {
+    togglePencil();
+  } else {
+    return;
+  }
+  event.preventDefault();
+});
+
 async function getSolved() {
-  const stuff = {"puzzle": textArea.value}
-  const data = await fetch("/api/solve", {
-    method: "POST",
-    headers: {
-      "Accept": "application/json",
-      "Content-type": "application/json"
-    },
-    body: JSON.stringify(stuff)
-  })
-  const parsed = await data.json();
+  const parsed = await solvePuzzle(textArea.value);
   if (parsed.error) {
     errorMsg.innerHTML = `<code>${JSON.stringify(parsed, null, 2)}</code>`;
     return
   }
-  fillpuzzle(parsed.solution)
+  fillSolution(parsed.solution)
 }
 
 async function getChecked() {
-  const stuff = {"puzzle": textArea.value, "coordinate": coordInput.value, "value": valInput.value}
-    const data = await fetch("/api/check", {
-    method: "POST",
-    headers: {
-      "Accept": "application/json",
-      "Content-type": "application/json"
-    },
-    body: JSON.stringify(stuff)
-  })
-  const parsed = await data.json();
+  const parsed = await checkPlacement(textArea.value, coordInput.value, valInput.value);
   errorMsg.innerHTML = `<code>${JSON.stringify(parsed, null, 2)}</code>`;
 }
 
 
 document.getElementById("solve-button").addEventListener("click", getSolved)
-document.getElementById("check-button").addEventListener("click", getChecked)
\ No newline at end of file
+document.getElementById("check-button").addEventListener("click", getChecked)
+document.getElementById("pencil-button").addEventListener("click", togglePencil)
+document.getElementById("erase-button").addEventListener("click", () => enter(null))
+document.getElementById("undo-button").addEventListener("click", undo)
+document.getElementById("redo-button").addEventListener("click", redo)
\ No newline at end of file
@@ -0,0 +1,272 @@
+"use strict";
+
+const { SearchTimeoutError } = require("../controllers/sudoku-engine.js");
+
+/**
+
+ * Errors for the /api/v2 routes. Every route reports a failure with the same
+ * message v1 sends as `{ error }`; on v2 the message is looked up here to
+ * give it a stable code and an HTTP status, and the error handler sends
+ *
+ *     { error: { code, message, details } }
+ *
+ * 400 means the request is malformed or an option has a value we don't know,
+ * 422 that a well-formed puzzle (or its cages, regions or solution) breaks
+ * the rules or can't be worked with.
+
+ */
+
+const ERRORS = [
+  ["Invalid request body", "INVALID_BODY", 400],
+
+  ["Required field missing", "MISSING_FIELDS", 400],
+
+  ["Required field(s) missing", "MISSING_FIELDS", 400],
+
+  ["Invalid format", "INVALID_FORMAT", 400],
+
+  ["Puzzle does not match the format", "FORMAT_MISMATCH", 400],
+
+  ["Invalid size", "INVALID_SIZE", 400],
+
+  ["Invalid variants", "INVALID_VARIANTS", 400],
+
+  ["Invalid cages", "INVALID_CAGES", 400],
+
+  ["Invalid coordinate", "INVALID_COORDINATE", 400],
+
+  ["Invalid value", "INVALID_VALUE", 400],
+
+  ["Invalid limit", "INVALID_LIMIT", 400],
+
+  ["Invalid mode", "INVALID_MODE", 400],
+
+  ["Invalid difficulty", "INVALID_DIFFICULTY", 400],
+
+  ["Invalid symmetry", "INVALID_SYMMETRY", 400],
+
+  ["Invalid clue range", "INVALID_CLUE_RANGE", 400],
+
+  ["Invalid seed", "INVALID_SEED", 400],
+
+  ["Invalid render type", "INVALID_RENDER_TYPE", 400],
+
+  ["SVG renders a single puzzle", "SINGLE_PUZZLE_ONLY", 400],
+
+  ["Invalid puzzles", "INVALID_PUZZLES", 400],
+
+  ["Invalid candidates", "INVALID_CANDIDATES", 400],
+
+  ["Invalid operations", "INVALID_OPERATIONS", 400],
+
+  ["Invalid tags", "INVALID_TAGS", 400],
+
+  ["Invalid source", "INVALID_SOURCE", 400],
+
+  ["Invalid solved flag", "INVALID_SOLVED_FLAG", 400],
+
+  ["Puzzle cannot be changed", "PUZZLE_IMMUTABLE", 400],
+
+  ["Invalid action", "INVALID_ACTION", 400],
+
+  ["Not found", "NOT_FOUND", 404],
+
+  ["Puzzle not found", "PUZZLE_NOT_FOUND", 404],
+
+  ["Game not found", "GAME_NOT_FOUND", 404],
+
+  ["Puzzle already in library", "DUPLICATE_PUZZLE", 409],
+
+  ["Game is already complete", "GAME_COMPLETE", 409],
+
+  ["Nothing to undo", "NOTHING_TO_UNDO", 409],
+
+  ["Request body too large", "BODY_TOO_LARGE", 413],
+
+  [/^Batch exceeds \d+ puzzles$/, "BATCH_TOO_LARGE", 413],
+
+  [/^A page holds at most \d+ puzzles$/, "TOO_MANY_PUZZLES", 413],
+
+  ["Invalid characters in puzzle", "INVALID_CHARACTERS", 422],
+
+  [/^Expected puzzle to be \d+ characters long$/, "INVALID_LENGTH", 422],
+
+  [/^Cages require a board of/, "CAGES_UNSUPPORTED", 422],
+
+  ["Cages must cover every cell exactly once", "CAGES_INCOMPLETE", 422],
+
+  ["Cage cells must be contiguous", "CAGE_NOT_CONTIGUOUS", 422],
+
+  ["Cage sum cannot be reached", "CAGE_SUM_UNREACHABLE", 422],
+
+  [
+    /^Expected region map to be \d+ characters long$/,
+    "INVALID_REGION_MAP",
+    422,
+  ],
+
+  [/^Region map must have \d+ regions/, "INVALID_REGION_MAP", 422],
+
+  ["Regions must be contiguous", "REGION_NOT_CONTIGUOUS", 422],
+
+  ["Puzzle cannot be solved", "UNSOLVABLE", 422],
+
+  ["Puzzle has more than one solution", "MULTIPLE_SOLUTIONS", 422],
+
+  ["Puzzle took too long to solve", "SEARCH_TIMEOUT", 422],
+
+  ["Puzzle is already solved", "ALREADY_SOLVED", 422],
+
+  ["Invalid solution", "INVALID_SOLUTION", 422],
+
+  ["Invalid grid", "INVALID_GRID", 422],
+
+  ["Cannot change a given", "GIVEN_CELL", 422],
+
+  ["Cell already has a digit", "CELL_FILLED", 422],
+
+  [
+    "Could not generate a puzzle with the requested options",
+    "GENERATION_FAILED",
+    422,
+  ],
+
+  [/^\w+ needs? a classic board/, "UNSUPPORTED_BOARD", 422],
+
+  [
+    "Quarter turns and transposing need square boxes",
+    "UNSUPPORTED_OPERATION",
+    422,
+  ],
+
+  ["Internal server error", "INTERNAL_ERROR", 500],
+];
+
+class ApiError extends Error {
+  /**
+
+   * @param {string} message - The v1 error message.
+
+   * @param {Object} [details] - Anything that pins the error down, e.g. the position of a bad character.
+
+   */
+
+  constructor(message, details = {}) {
+    super(message);
+
+    const [, code, status] = ERRORS.find(([pattern]) =>
+      typeof pattern === "string" ? pattern === message : pattern.test(message),
+    ) || [null, "INVALID_REQUEST", 400];
+
+    this.code = code;
+
+    this.status = status;
+
+    this.details = details;
+  }
+}
+
+const isVersion2 = (req) => /^\/api\/v2(\/|\?|$)/.test(req.originalUrl);
+
+/**
+
+ * Says what is wrong with a puzzle string validate() rejected: which field
+ * is missing, the first character that isn't a blank or one of the board's
+ * symbols, or the length received. Other failures have no details.
+
+ * @param {*} puzzle - The puzzle as received.
+
+ * @param {{size: number, symbols: string}} board - The solver for the board.
+
+ * @returns {Object} - The details.
+
+ */
+
+function puzzleDetails(puzzle, { size, symbols }) {
+  if (!puzzle) return { missing: ["puzzle"] };
+
+  if (typeof puzzle !== "string") return {};
+
+  const index = [...puzzle].findIndex(
+    (char) => char !== "." && !symbols.includes(char),
+  );
+
+  if (index !== -1) return { index, character: puzzle[index] };
+
+  if (puzzle.length !== size * size) {
+    return { expected: size * size, received: puzzle.length };
+  }
+
+  return {};
+}
+
+/**
+
+ * Lists the required fields a request left out.
+
+ * @param {Object} fields - The request's fields.
+
+ * @param {string[]} names - The required fields.
+
+ * @returns {{missing: string[]}} - The missing fields.
+
+ */
+
+function missingFields(fields, names) {
+  return { missing: names.filter((name) => !fields[name]) };
+}
+
+/**
+
+ * Express error handler for /api/v2: sends ApiErrors with their status and
+ * code, bodies that failed to parse as 400s, and anything else as a 500.
+ * A search that ran out of time fails like any unworkable puzzle, on v1
+ * too. Other errors on other routes are left to Express, as before.
+
+ */
+
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  const timedOut = err instanceof SearchTimeoutError;
+
+  if (timedOut && !isVersion2(req)) {
+    return res.json({ error: "Puzzle took too long to solve" });
+  }
+
+  if (!isVersion2(req)) return next(err);
+
+  let error = err;
+
+  if (timedOut) {
+    error = new ApiError("Puzzle took too long to solve");
+  } else if (!(err instanceof ApiError)) {
+    const message = {
+      "entity.parse.failed": "Invalid request body",
+
+      "entity.too.large": "Request body too large",
+    }[err.type];
+
+    if (!message) console.error(err);
+
+    error = new ApiError(message || "Internal server error");
+  }
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+
+      message: error.message,
+
+      details: error.details,
+    },
+  });
+}
+
+module.exports = {
+  ApiError,
+  isVersion2,
+  puzzleDetails,
+  missingFields,
+  errorHandler,
+};
@@ -1,90 +1,1236 @@
 "use strict";
 
+const path = require("path");
 const SudokuSolver = require("../controllers/sudoku-solver.js");
+const { boardShape } = require("../controllers/board-shapes.js");
+const { validateVariants } = require("../controllers/variants.js");
+const { validateCages } = require("../controllers/cages.js");
+const { validateRegions } = require("../controllers/regions.js");
+const LogicalSolver = require("../controllers/logical-solver.js");
+const PuzzleGenerator = require("../controllers/puzzle-generator.js");
+const {
+  FORMATS,
+  parsePuzzle,
+  formatPuzzle,
+  formatForContentType,
+} = require("../controllers/puzzle-formats.js");
+const {
+  MAX_PAGE_PUZZLES,
+  renderSvg,
+  renderPdf,
+} = require("../controllers/renderer.js");
+const PuzzleLibrary = require("../controllers/puzzle-library.js");
+const { createStore } = require("../controllers/library-stores.js");
+const GameSessions = require("../controllers/game-sessions.js");
+const {
+  ApiError,
+  isVersion2,
+  puzzleDetails,
+  missingFields,
+} = require("./api-errors.js");
+const {
+  composeTransforms,
+  operationTransform,
+} = require("../controllers/transformations.js");
+const { puzzlesAndSolutions } = require("../controllers/puzzle-strings.js");
+const {
+  MAX_BATCH_SIZE,
+  parseBatch,
+  solveBatch,
+} = require("../controllers/batch-solver.js");
+
+// Upper bound on the number of solutions /api/solutions will search for.
+
+const MAX_SOLUTIONS = 10;
+
+// Where the puzzle library lives: the path of a JSON file (data/puzzles.json
+// by default, so the library survives restarts), or "memory" for a
+// throwaway library.
+
+const LIBRARY_LOCATION =
+  process.env.PUZZLE_LIBRARY ||
+  path.join(process.cwd(), "data", "puzzles.json");
+
+// Where games in progress are kept: "memory" (the default), or the path of
+// a JSON file.
+
+const GAMES_LOCATION = process.env.GAME_SESSIONS || "memory";
+
+// How long, in milliseconds, a single search may run. Large boards can take
+// minutes otherwise, all the while blocking every other request.
+
+const SOLVE_TIME_LIMIT = Number(process.env.SOLVE_TIME_LIMIT) || 10000;
+
+// How long, in milliseconds, generating a puzzle may run before it is given
+// up; options that can't be met would otherwise keep it trying for seconds
+
+const GENERATE_TIME_LIMIT = Number(process.env.GENERATE_TIME_LIMIT) || 2000;
 
 module.exports = function (app) {
-  let solver = new SudokuSolver();
+  // Every route answers under /api and /api/v2. The two differ only in how
+  // they report errors (see fail).
+
+  const route = (path) => app.route([`/api${path}`, `/api/v2${path}`]);
+
+  // Reports an error: v1 answers 200 with `{ error }`; v2 hands it to the
+  // error handler, which sends it with a status, a code and `details`.
+  // Thrown inside a promise chain, it reaches the handler through .catch(next).
+
+  const fail = (req, res, message, details) => {
+    if (!isVersion2(req)) return res.json({ error: message });
+
+    throw new ApiError(message, details);
+  };
+
+  let solver = new SudokuSolver({ timeLimit: SOLVE_TIME_LIMIT });
+
+  let logicalSolver = new LogicalSolver();
+
+  let generator = new PuzzleGenerator(solver, {
+    timeLimit: GENERATE_TIME_LIMIT,
+  });
+
+  // A new library starts out with the sample puzzles
+
+  let library = new PuzzleLibrary(createStore(LIBRARY_LOCATION), {
+    solver,
+
+    seed: puzzlesAndSolutions.map(([puzzle]) => puzzle),
+  });
+
+  let games = new GameSessions(createStore(GAMES_LOCATION), {
+    timeLimit: SOLVE_TIME_LIMIT,
+  });
+
+  // The solver for the board a request describes, and the options it was
+  // built with: an optional `size` (9x9 by default), optional `variants`,
+  // given as an array or, from a form, a comma-separated string, optional
+  // Killer `cages`, given as an array or, from a form, a JSON string, and an
+  // optional jigsaw `regions` map.
+
+  const solverFor = ({ size, variants, cages, regions }) => {
+    const options = {};
+
+    if (size !== undefined && size !== "") {
+      const shape = boardShape(Number(size));
+
+      if (!shape) return { error: "Invalid size" };
+
+      options.size = shape.size;
+    }
+
+    if (variants !== undefined && variants !== "") {
+      options.variants =
+        typeof variants === "string" ? variants.split(",") : variants;
+
+      const variantsValidation = validateVariants(
+        options.variants,
+
+        options.size || 9,
+      );
+
+      if (!variantsValidation.valid) return variantsValidation;
+    }
+
+    if (cages !== undefined && cages !== "") {
+      try {
+        options.cages = typeof cages === "string" ? JSON.parse(cages) : cages;
+      } catch (err) {
+        return { error: "Invalid cages" };
+      }
+
+      const cagesValidation = validateCages(options.cages, options.size || 9);
+
+      if (!cagesValidation.valid) return cagesValidation;
+    }
+
+    if (regions !== undefined && regions !== "") {
+      const regionsValidation = validateRegions(regions, options.size || 9);
+
+      if (!regionsValidation.valid) return regionsValidation;
+
+      options.regions = regions;
+    }
+
+    if (Object.keys(options).length === 0) return { solver, options };
+
+    return {
+      solver: new SudokuSolver({ ...options, timeLimit: SOLVE_TIME_LIMIT }),
+
+      options,
+    };
+  };
+
+  // The request's fields. A GET request has them in the query, and so does a
+  // text/plain or text/csv body, which can't carry any: it is the puzzle
+  // itself.
+
+  const fieldsOf = (req) => {
+    if (req.method === "GET") return req.query;
+
+    return typeof req.body === "string"
+      ? { ...req.query, puzzle: req.body }
+      : req.body;
+  };
+
+  // Flags arrive as booleans in JSON and as strings from forms and queries
+
+  const isTrue = (flag) => flag === true || flag === "true";
+
+  // Reads the puzzle in the format the request names: its `format` field, or
+  // for a text body the Content-Type. A puzzle sent as an array of rows is a
+  // JSON grid, and without a format the puzzle is used as is (so a flat
+  // array fails validation, as it always has). `output` is the
+  // format answers go back in: the `output` field, or else the input format.
+
+  const readPuzzle = (req, size) => {
+    const { puzzle, output } = fieldsOf(req);
 
-  app.route("/api/check").post((req, res) => {
-    const { puzzle, coordinate, value } = req.body;
+    let { format } = fieldsOf(req);
+
+    if (!format && typeof req.body === "string") {
+      format = formatForContentType(req.get("Content-Type"));
+    }
+
+    if (
+      !format &&
+      Array.isArray(puzzle) &&
+      puzzle.length > 0 &&
+      puzzle.every(Array.isArray)
+    ) {
+      format = "json";
+    }
+
+    if (
+      (format && !FORMATS.includes(format)) ||
+      (output && !FORMATS.includes(output))
+    ) {
+      return { error: "Invalid format" };
+    }
+
+    // A missing puzzle is left for validate() to report
+
+    if (!format || !puzzle) return { puzzle, output: output || format };
+
+    const parsed = parsePuzzle(puzzle, format, size);
+
+    if (parsed === null) return { error: "Puzzle does not match the format" };
+
+    return { puzzle: parsed, output: output || format };
+  };
+
+  route("/check").post((req, res) => {
+    const { coordinate, value } = req.body;
 
     // Check for missing fields
 
-    if (!puzzle || !coordinate || !value) {
-      return res.json({ error: "Required field(s) missing" });
+    if (!req.body.puzzle || !coordinate || !value) {
+      return fail(
+        req,
+
+        res,
+
+        "Required field(s) missing",
+
+        missingFields(req.body, ["puzzle", "coordinate", "value"]),
+      );
     }
 
+    const { solver: boardSolver, error } = solverFor(req.body);
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const input = readPuzzle(req, boardSolver.size);
+
+    if (input.error) {
+      return fail(req, res, input.error);
+    }
+
+    const { puzzle } = input;
+
     // Validate the puzzle string
 
-    const puzzleValidation = solver.validate(puzzle);
+    const puzzleValidation = boardSolver.validate(puzzle);
 
     if (!puzzleValidation.valid) {
       // The solver's validate method returns the correct error messages for this case
 
-      return res.json({ error: puzzleValidation.error });
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
     }
 
-    // Validate coordinate format (e.g., 'A1', 'I9')
+    // Validate coordinate format (e.g., 'A1', 'I9' on a 9x9 board)
 
-    if (!/^[A-I][1-9]$/i.test(coordinate)) {
-      return res.json({ error: "Invalid coordinate" });
-    }
-
-    // Validate value is a number between 1 and 9
+    const cell = boardSolver.parseCoordinate(coordinate);
 
-    if (!/^[1-9]$/.test(value)) {
-      return res.json({ error: "Invalid value" });
+    if (!cell) {
+      return fail(req, res, "Invalid coordinate", { coordinate });
     }
 
-    const row = coordinate.slice(0, 1);
-
-    const column = coordinate.slice(1);
+    // Validate value is one of the board's digits (1-9 on a 9x9 board)
 
-    const conflicts = [];
+    const digit = String(value).toUpperCase();
 
-    const isRowValid = solver.checkRowPlacement(puzzle, row, column, value);
+    if (digit.length !== 1 || !boardSolver.symbols.includes(digit)) {
+      return fail(req, res, "Invalid value", { value });
+    }
 
-    const isColValid = solver.checkColPlacement(puzzle, row, column, value);
+    const { row, column } = cell;
 
-    const isRegionValid = solver.checkRegionPlacement(
+    const conflicts = boardSolver.placementConflicts(
       puzzle,
 
       row,
 
       column,
 
-      value,
+      digit,
     );
 
-    if (!isRowValid) conflicts.push("row");
-
-    if (!isColValid) conflicts.push("column");
-
-    if (!isRegionValid) conflicts.push("region");
-
     if (conflicts.length > 0) {
       return res.json({ valid: false, conflict: conflicts });
     }
     return res.json({ valid: true });
   });
 
-  app.route("/api/solve").post((req, res) => {
-    const { puzzle } = req.body;
+  route("/solve").post((req, res) => {
+    const { solver: boardSolver, error } = solverFor(fieldsOf(req));
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const input = readPuzzle(req, boardSolver.size);
+
+    if (input.error) {
+      return fail(req, res, input.error);
+    }
+
+    const { puzzle, output } = input;
 
     // Validate the puzzle string. The solver's validate handles all cases.
 
-    const puzzleValidation = solver.validate(puzzle);
+    const puzzleValidation = boardSolver.validate(puzzle);
 
     if (!puzzleValidation.valid) {
-      return res.json({ error: puzzleValidation.error });
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
     }
 
-    const solution = solver.solve(puzzle);
+    const solution = boardSolver.solve(puzzle);
 
     if (!solution) {
-      return res.json({ error: "Puzzle cannot be solved" });
+      return fail(req, res, "Puzzle cannot be solved");
+    }
+
+    if (output) {
+      return res.json({
+        solution: formatPuzzle(solution, output, boardSolver.size),
+      });
     }
 
     return res.json({ solution });
   });
+
+  route("/solutions").post((req, res) => {
+    const { limit } = fieldsOf(req);
+
+    const { solver: boardSolver, error } = solverFor(fieldsOf(req));
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const input = readPuzzle(req, boardSolver.size);
+
+    if (input.error) {
+      return fail(req, res, input.error);
+    }
+
+    const { puzzle, output } = input;
+
+    const puzzleValidation = boardSolver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
+    }
+
+    // `limit` is how many solutions to return; we always look for at least
+    // two so a unique puzzle can be told apart from an ambiguous one.
+
+    let maxSolutions = 2;
+
+    if (limit !== undefined && limit !== "") {
+      maxSolutions = Number(limit);
+
+      if (
+        !Number.isInteger(maxSolutions) ||
+        maxSolutions < 1 ||
+        maxSolutions > MAX_SOLUTIONS
+      ) {
+        return fail(req, res, "Invalid limit", { max: MAX_SOLUTIONS });
+      }
+    }
+
+    const { count, solutions } = boardSolver.countSolutions(
+      puzzle,
+
+      Math.max(maxSolutions, 2),
+    );
+
+    let status = "none";
+
+    if (count === 1) status = "unique";
+
+    if (count > 1) status = "multiple";
+
+    return res.json({
+      status,
+
+      count,
+
+      solutions: solutions
+        .slice(0, maxSolutions)
+        .map((solution) =>
+          output ? formatPuzzle(solution, output, boardSolver.size) : solution,
+        ),
+    });
+  });
+
+  // Lists the clashes among the givens, and tells contradictory givens
+  // apart from consistent ones that still have no solution
+
+  route("/analyze").post((req, res) => {
+    const { solver: boardSolver, error } = solverFor(fieldsOf(req));
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const input = readPuzzle(req, boardSolver.size);
+
+    if (input.error) {
+      return fail(req, res, input.error);
+    }
+
+    const { puzzle } = input;
+
+    const puzzleValidation = boardSolver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
+    }
+
+    return res.json(boardSolver.analyze(puzzle));
+  });
+
+  // Checks a player's whole `grid` against the puzzle. The solution is only
+  // sent when `reveal` is set.
+
+  route("/verify").post((req, res) => {
+    const { puzzle, grid, reveal } = req.body;
+
+    if (!puzzle || !grid) {
+      return fail(
+        req,
+
+        res,
+
+        "Required field(s) missing",
+
+        missingFields(req.body, ["puzzle", "grid"]),
+      );
+    }
+
+    const { solver: boardSolver, error } = solverFor(req.body);
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const puzzleValidation = boardSolver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
+    }
+
+    // Only the grid's characters and length are checked: a player's grid
+    // may well break a Killer cage sum
+
+    if (
+      typeof grid !== "string" ||
+      grid.length !== puzzle.length ||
+      ![...grid].every(
+        (char) => char === "." || boardSolver.symbols.includes(char),
+      )
+    ) {
+      return fail(req, res, "Invalid grid", puzzleDetails(grid, boardSolver));
+    }
+
+    const { count, solutions } = boardSolver.countSolutions(puzzle);
+
+    if (count === 0) {
+      return fail(req, res, "Puzzle cannot be solved");
+    }
+
+    if (count > 1) {
+      return fail(req, res, "Puzzle has more than one solution");
+    }
+
+    const report = boardSolver.verify(puzzle, grid, solutions[0]);
+
+    if (isTrue(reveal)) {
+      report.solution = solutions[0];
+    }
+
+    return res.json(report);
+  });
+
+  route("/explain").post((req, res) => {
+    const { puzzle } = req.body;
+
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, solver),
+      );
+    }
+
+    if (!solver.hasValidGivens(puzzle)) {
+      return fail(req, res, "Puzzle cannot be solved");
+    }
+
+    // `solved` is false when the techniques run out before the grid is full;
+    // `puzzle` then holds the furthest state they reached.
+
+    return res.json(logicalSolver.solve(puzzle));
+  });
+
+  route("/rate").post((req, res) => {
+    const { puzzle } = req.body;
+
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, solver),
+      );
+    }
+
+    const { count } = solver.countSolutions(puzzle, 2);
+
+    if (count === 0) {
+      return fail(req, res, "Puzzle cannot be solved");
+    }
+
+    // A tier means nothing for a puzzle without a unique answer
+
+    if (count > 1) {
+      return fail(req, res, "Puzzle has more than one solution");
+    }
+
+    return res.json(solver.rate(puzzle));
+  });
+
+  route("/generate").post((req, res) => {
+    const { difficulty, symmetry, minClues, maxClues, seed } = req.body;
+
+    // Form submissions send every field as a string
+
+    const toInteger = (value) =>
+      typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+
+    const options = {
+      difficulty: difficulty || undefined,
+
+      symmetry: symmetry || undefined,
+
+      minClues: minClues === "" ? undefined : toInteger(minClues),
+
+      maxClues: maxClues === "" ? undefined : toInteger(maxClues),
+
+      seed: seed === "" ? undefined : toInteger(seed),
+    };
+
+    const optionsValidation = generator.validateOptions(options);
+
+    if (!optionsValidation.valid) {
+      return fail(req, res, optionsValidation.error);
+    }
+
+    const generated = generator.generate(options);
+
+    if (!generated) {
+      return fail(
+        req,
+        res,
+        "Could not generate a puzzle with the requested options",
+      );
+    }
+
+    return res.json(generated);
+  });
+
+  route("/hint").post((req, res) => {
+    const { puzzle, mode = "answer" } = req.body;
+
+    const puzzleValidation = solver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, solver),
+      );
+    }
+
+    if (mode !== "answer" && mode !== "nudge") {
+      return fail(req, res, "Invalid mode");
+    }
+
+    if (!puzzle.includes(".")) {
+      return fail(req, res, "Puzzle is already solved");
+    }
+
+    const { count, solutions } = solver.countSolutions(puzzle, 2);
+
+    if (count === 0) {
+      return fail(req, res, "Puzzle cannot be solved");
+    }
+
+    // With several answers, no technique justifies any one of them
+
+    if (count > 1) {
+      return fail(req, res, "Puzzle has more than one solution");
+    }
+
+    const hint = logicalSolver.hint(puzzle, { solution: solutions[0] });
+
+    // A nudge points at where to look without giving the move away
+
+    if (mode === "nudge") {
+      return res.json({ technique: hint.technique, unit: hint.unit });
+    }
+
+    return res.json({
+      coordinate: hint.cell,
+
+      value: hint.value,
+
+      technique: hint.technique,
+
+      unit: hint.unit,
+
+      steps: hint.steps,
+    });
+  });
+
+  route("/candidates").post((req, res) => {
+    const { coordinate } = fieldsOf(req);
+
+    const { solver: boardSolver, error } = solverFor(fieldsOf(req));
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const input = readPuzzle(req, boardSolver.size);
+
+    if (input.error) {
+      return fail(req, res, input.error);
+    }
+
+    const { puzzle } = input;
+
+    const puzzleValidation = boardSolver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
+    }
+
+    const candidates = boardSolver.getCandidates(puzzle);
+
+    if (!coordinate) {
+      return res.json({ candidates });
+    }
+
+    const cell = boardSolver.parseCoordinate(coordinate);
+
+    if (!cell) {
+      return fail(req, res, "Invalid coordinate", { coordinate });
+    }
+
+    // Filled cells have no candidates
+
+    const key = cell.row + cell.column;
+
+    return res.json({ candidates: { [key]: candidates[key] || [] } });
+  });
+
+  route("/convert").post((req, res) => {
+    const { solver: boardSolver, error } = solverFor(fieldsOf(req));
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const input = readPuzzle(req, boardSolver.size);
+
+    if (input.error) {
+      return fail(req, res, input.error);
+    }
+
+    const { puzzle, output } = input;
+
+    const puzzleValidation = boardSolver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
+    }
+
+    return res.json({
+      puzzle: formatPuzzle(puzzle, output || "string", boardSolver.size),
+    });
+  });
+
+  // Tells whether `other` is `puzzle` in disguise and, if it is, how to
+  // turn `puzzle` into it (see controllers/transformations.js)
+
+  route("/equivalent").post((req, res) => {
+    const { puzzle, other } = req.body;
+
+    if (!puzzle || !other) {
+      return fail(
+        req,
+
+        res,
+
+        "Required field(s) missing",
+
+        missingFields(req.body, ["puzzle", "other"]),
+      );
+    }
+
+    const { solver: boardSolver, error } = solverFor(req.body);
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    if (!boardSolver.hasCanonicalForm()) {
+      return fail(
+        req,
+        res,
+        "Equivalence needs a classic board of 9x9 or smaller",
+      );
+    }
+
+    for (const puzzleString of [puzzle, other]) {
+      const puzzleValidation = boardSolver.validate(puzzleString);
+
+      if (!puzzleValidation.valid) {
+        return fail(
+          req,
+          res,
+          puzzleValidation.error,
+          puzzleDetails(puzzleString, boardSolver),
+        );
+      }
+    }
+
+    const match = boardSolver.findTransform(puzzle, other);
+
+    if (!match) {
+      return res.json({ equivalent: false });
+    }
+
+    return res.json({ equivalent: true, ...match });
+  });
+
+  // Applies `operations` (see controllers/transformations.js) in order to a
+  // puzzle and its solution, which is worked out if not sent. A shuffle
+  // without a seed is given one, and the operations are sent back with it
+  // so the result can be reproduced.
+
+  route("/transform").post((req, res) => {
+    const { puzzle, solution } = req.body;
+
+    let { operations } = req.body;
+
+    if (!puzzle || !operations) {
+      return fail(
+        req,
+
+        res,
+
+        "Required field(s) missing",
+
+        missingFields(req.body, ["puzzle", "operations"]),
+      );
+    }
+
+    const { solver: boardSolver, error } = solverFor(req.body);
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    if (!boardSolver.hasCanonicalForm()) {
+      return fail(
+        req,
+        res,
+        "Transformations need a classic board of 9x9 or smaller",
+      );
+    }
+
+    const puzzleValidation = boardSolver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
+    }
+
+    // Forms send the operations as a JSON string
+
+    if (typeof operations === "string") {
+      try {
+        operations = JSON.parse(operations);
+      } catch (err) {
+        return fail(req, res, "Invalid operations");
+      }
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return fail(req, res, "Invalid operations");
+    }
+
+    const steps = operations.map((operation) =>
+      operationTransform(operation, boardSolver),
+    );
+
+    const failed = steps.find((step) => step.error);
+
+    if (failed) {
+      return fail(req, res, failed.error);
+    }
+
+    let solved = solution;
+
+    if (solution) {
+      if (!isSolutionOf(boardSolver, solution, puzzle)) {
+        return fail(req, res, "Invalid solution");
+      }
+    } else {
+      solved = boardSolver.solve(puzzle);
+
+      if (!solved) {
+        return fail(req, res, "Puzzle cannot be solved");
+      }
+    }
+
+    const transform = composeTransforms(
+      steps.map((step) => step.transform),
+
+      boardSolver,
+    );
+
+    return res.json({
+      puzzle: boardSolver.applyTransform(puzzle, transform),
+
+      solution: boardSolver.applyTransform(solved, transform),
+
+      transform,
+
+      operations: steps.map((step) => step.operation),
+    });
+  });
+
+  // Draws a puzzle as an SVG image, or up to MAX_PAGE_PUZZLES `puzzles` on
+  // a PDF page. `solution` is the solution string, or true to fill in the
+  // solver's; `candidates` is a map of pencil marks by coordinate, or true
+  // for every empty cell's candidates.
+
+  const render = (req, res) => {
+    const fields = fieldsOf(req);
+
+    const { solver: boardSolver, error } = solverFor(fields);
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const { type = "svg" } = fields;
+
+    if (type !== "svg" && type !== "pdf") {
+      return fail(req, res, "Invalid render type");
+    }
+
+    let puzzles;
+
+    if (fields.puzzles !== undefined && fields.puzzles !== "") {
+      puzzles = parseBatch(fields.puzzles);
+
+      if (!puzzles) {
+        return fail(req, res, "Invalid puzzles");
+      }
+    } else {
+      const input = readPuzzle(req, boardSolver.size);
+
+      if (input.error) {
+        return fail(req, res, input.error);
+      }
+
+      puzzles = [input.puzzle];
+    }
+
+    if (type === "svg" && puzzles.length > 1) {
+      return fail(req, res, "SVG renders a single puzzle");
+    }
+
+    if (puzzles.length > MAX_PAGE_PUZZLES) {
+      return fail(
+        req,
+        res,
+        `A page holds at most ${MAX_PAGE_PUZZLES} puzzles`,
+        {
+          max: MAX_PAGE_PUZZLES,
+
+          received: puzzles.length,
+        },
+      );
+    }
+
+    const sheets = [];
+
+    for (const puzzle of puzzles) {
+      const puzzleValidation = boardSolver.validate(puzzle);
+
+      if (!puzzleValidation.valid) {
+        return fail(
+          req,
+          res,
+          puzzleValidation.error,
+          puzzleDetails(puzzle, boardSolver),
+        );
+      }
+
+      const sheet = { puzzle };
+
+      if (isTrue(fields.solution)) {
+        sheet.solution = boardSolver.solve(puzzle);
+
+        if (!sheet.solution) {
+          return fail(req, res, "Puzzle cannot be solved");
+        }
+      } else if (fields.solution) {
+        if (
+          puzzles.length > 1 ||
+          !isSolutionOf(boardSolver, fields.solution, puzzle)
+        ) {
+          return fail(req, res, "Invalid solution");
+        }
+
+        sheet.solution = fields.solution;
+      }
+
+      if (isTrue(fields.candidates)) {
+        sheet.candidates = boardSolver.getCandidates(puzzle);
+      } else if (fields.candidates) {
+        if (!isCandidateMap(boardSolver, fields.candidates)) {
+          return fail(req, res, "Invalid candidates");
+        }
+
+        sheet.candidates = Object.fromEntries(
+          Object.entries(fields.candidates).map(([coord, marks]) => [
+            coord.toUpperCase(),
+            marks,
+          ]),
+        );
+      }
+
+      sheets.push(sheet);
+    }
+
+    const options = {
+      size: boardSolver.size,
+
+      regions: boardSolver.regions || undefined,
+
+      labels: isTrue(fields.labels),
+    };
+
+    if (type === "pdf") {
+      return res.type("application/pdf").send(renderPdf(sheets, options));
+    }
+
+    return res.type("image/svg+xml").send(renderSvg(sheets[0], options));
+  };
+
+  // A complete grid that keeps the puzzle's givens and breaks no rule
+
+  const isSolutionOf = (boardSolver, solution, puzzle) =>
+    boardSolver.validate(solution).valid &&
+    !solution.includes(".") &&
+    puzzle.split("").every((char, i) => char === "." || char === solution[i]) &&
+    boardSolver.hasValidGivens(solution);
+
+  const isCandidateMap = (boardSolver, candidates) =>
+    typeof candidates === "object" &&
+    !Array.isArray(candidates) &&
+    Object.entries(candidates).every(
+      ([coord, marks]) =>
+        boardSolver.parseCoordinate(coord) &&
+        Array.isArray(marks) &&
+        marks.every(
+          (mark) =>
+            typeof mark === "string" &&
+            mark.length === 1 &&
+            boardSolver.symbols.includes(mark),
+        ),
+    );
+
+  route("/render").get(render).post(render);
+
+  route("/solve/batch").post((req, res, next) => {
+    // Either JSON { puzzles: [...] | "..." } or a text/plain body
+
+    const body = typeof req.body === "string" ? req.body : req.body.puzzles;
+
+    // A text/plain body can't carry the board options, so they are passed
+    // in the query
+
+    const { solver: boardSolver, error } = solverFor(
+      typeof req.body === "string" ? req.query : req.body,
+    );
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    if (!body || body.length === 0) {
+      return fail(req, res, "Required field missing", { missing: ["puzzles"] });
+    }
+
+    const puzzles = parseBatch(body);
+
+    if (!puzzles) {
+      return fail(req, res, "Invalid puzzles");
+    }
+
+    if (puzzles.length > MAX_BATCH_SIZE) {
+      return fail(req, res, `Batch exceeds ${MAX_BATCH_SIZE} puzzles`, {
+        max: MAX_BATCH_SIZE,
+
+        received: puzzles.length,
+      });
+    }
+
+    solveBatch(boardSolver, puzzles)
+      .then((batch) => res.json({ count: puzzles.length, ...batch }))
+      .catch(next);
+  });
+
+  route("/puzzles")
+    .get((req, res, next) => {
+      const filtersValidation = library.validateFilters(req.query);
+
+      if (!filtersValidation.valid) {
+        return fail(req, res, filtersValidation.error);
+      }
+
+      library
+        .search(req.query)
+        .then((puzzles) => res.json({ count: puzzles.length, puzzles }))
+        .catch(next);
+    })
+    .post((req, res, next) => {
+      const { puzzle, source, tags } = req.body;
+
+      if (!puzzle) {
+        return fail(req, res, "Required field missing", {
+          missing: ["puzzle"],
+        });
+      }
+
+      library
+        .add({ puzzle, source, tags })
+        .then(({ entry, error, id }) => {
+          // v1 sends the id of the puzzle a duplicate matches next to the
+          // message
+
+          if (error && id && !isVersion2(req)) {
+            return res.json({ error, id });
+          }
+
+          if (error) {
+            return fail(req, res, error, id ? { id } : {});
+          }
+
+          return res.json(entry);
+        })
+        .catch(next);
+    });
+
+  route("/puzzles/:id")
+    .get((req, res, next) => {
+      library
+        .get(req.params.id)
+        .then((entry) =>
+          entry
+            ? res.json(entry)
+            : fail(req, res, "Puzzle not found", { id: req.params.id }),
+        )
+        .catch(next);
+    })
+    .put((req, res, next) => {
+      library
+        .update(req.params.id, req.body)
+        .then(({ entry, error }) => {
+          if (error === "Puzzle not found") {
+            return fail(req, res, error, { id: req.params.id });
+          }
+
+          if (error) {
+            return fail(req, res, error);
+          }
+
+          return res.json(entry);
+        })
+        .catch(next);
+    })
+    .delete((req, res, next) => {
+      library
+        .remove(req.params.id)
+        .then((removed) =>
+          removed
+            ? res.json({ deleted: req.params.id })
+            : fail(req, res, "Puzzle not found", { id: req.params.id }),
+        )
+        .catch(next);
+    });
+
+  // Reports a game session error; a missing game names its id
+
+  const gameError = (req, res, error) =>
+    error === "Game not found"
+      ? fail(req, res, error, { id: req.params.id })
+      : fail(req, res, error);
+
+  route("/games").post((req, res, next) => {
+    const { solver: boardSolver, options, error } = solverFor(req.body);
+
+    if (error) {
+      return fail(req, res, error);
+    }
+
+    const { puzzle } = req.body;
+
+    const puzzleValidation = boardSolver.validate(puzzle);
+
+    if (!puzzleValidation.valid) {
+      return fail(
+        req,
+        res,
+        puzzleValidation.error,
+        puzzleDetails(puzzle, boardSolver),
+      );
+    }
+
+    games
+      .start({ puzzle, board: options })
+      .then(({ game, error }) =>
+        error ? gameError(req, res, error) : res.json(game),
+      )
+      .catch(next);
+  });
+
+  route("/games/:id").get((req, res, next) => {
+    games
+      .get(req.params.id)
+      .then((game) =>
+        game ? res.json(game) : gameError(req, res, "Game not found"),
+      )
+      .catch(next);
+  });
+
+  route("/games/:id/moves").post((req, res, next) => {
+    const { action, coordinate, value } = req.body;
+
+    const required =
+      action === "erase" ? ["coordinate"] : ["coordinate", "value"];
+
+    if (required.some((name) => !req.body[name])) {
+      return fail(
+        req,
+        res,
+        "Required field(s) missing",
+        missingFields(req.body, required),
+      );
+    }
+
+    games
+      .move(req.params.id, { action, coordinate, value })
+      .then((result) =>
+        result.error ? gameError(req, res, result.error) : res.json(result),
+      )
+      .catch(next);
+  });
+
+  route("/games/:id/undo").post((req, res, next) => {
+    games
+      .undo(req.params.id)
+      .then(({ game, error }) =>
+        error ? gameError(req, res, error) : res.json(game),
+      )
+      .catch(next);
+  });
+
+  app.use("/api/v2", (req, res, next) => next(new ApiError("Not found")));
 };
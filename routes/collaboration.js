@@ -0,0 +1,290 @@
+"use strict";
+
+const WebSocket = require("ws");
+const GameSessions = require("../controllers/game-sessions.js");
+const CollaborationRoom = require("../controllers/collaboration-room.js");
+const { MemoryStore } = require("../controllers/library-stores.js");
+
+// Connections are pinged this often; one that hasn't answered by the next
+// ping is dropped
+
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+const ROOM_NAME = /^[\w-]{1,64}$/;
+
+// How long, in milliseconds, checking that a new room's puzzle has a
+// solution may take (see routes/api.js)
+
+const SOLVE_TIME_LIMIT = Number(process.env.SOLVE_TIME_LIMIT) || 10000;
+
+/**
+
+ * Collaborative solving over WebSockets at /collaborate. Clients send JSON
+ * messages with a `type`:
+ *
+ * - join `{ room, name?, puzzle?, board? }`: enter a room, opening it on the
+ *   puzzle if nobody is in it yet (`board` holds SudokuSolver options)
+ * - edit `{ action?, coordinate, value?, revision }`: a move, as for
+ *   POST /api/games/:id/moves, plus the last revision the client has seen
+ * - cursor `{ coordinate }`: the cell the player is on, or null
+ *
+ * The server answers a join with `welcome` (the player id and the room's
+ * state) and tells the others `joined`; later `left` when a player goes.
+ * Accepted edits go to everyone as `edit`, cursors to the others as
+ * `cursor`. Refused edits, stale or breaking a rule, go back to their sender
+ * as `rejected`, and anything else wrong as `error`. See CollaborationRoom.
+ *
+ * A room closes, and its game is removed, when its last player leaves or,
+ * if everyone who asked to join it hung up while it was opening, as soon as
+ * it has opened.
+
+ * @param {http.Server} server - The server Express is listening with.
+
+ * @param {{games?: GameSessions}} [options] - Where rooms keep their games (in memory, with a time limit on solving, by default).
+
+ * @returns {WebSocket.Server} - The WebSocket server.
+
+ */
+
+module.exports = function (server, options = {}) {
+  const {
+    games = new GameSessions(new MemoryStore(), {
+      timeLimit: SOLVE_TIME_LIMIT,
+    }),
+  } = options;
+
+  const wss = new WebSocket.Server({
+    server,
+
+    path: "/collaborate",
+
+    maxPayload: 64 * 1024,
+  });
+
+  // Open rooms by name. They are kept as promises, so players joining a new
+  // room at the same time end up in the same room.
+
+  const rooms = new Map();
+
+  // How many joins are waiting for each room to open, by name. A room isn't
+  // closed while someone is on the way in.
+
+  const joining = new Map();
+
+  // Each connection's room and player, and whether it answered the last ping
+
+  const sessions = new Map();
+
+  const send = (ws, message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const broadcast = (room, message, except) => {
+    sessions.forEach((session, ws) => {
+      if (session.room === room && ws !== except) send(ws, message);
+    });
+  };
+
+  const closeIfEmpty = (room) => {
+    if (!room.isEmpty() || joining.has(room.name)) return Promise.resolve();
+
+    rooms.delete(room.name);
+
+    return room.close();
+  };
+
+  const openRoom = (name, { puzzle, board = {} }) => {
+    if (!puzzle) return Promise.resolve({ error: "Room not found" });
+
+    if (typeof board !== "object" || board === null) {
+      return Promise.resolve({ error: "Invalid board" });
+    }
+
+    return Promise.resolve()
+      .then(() => CollaborationRoom.open(name, games, { puzzle, board }))
+      .catch((err) => {
+        if (err instanceof RangeError) return { error: "Invalid board" };
+
+        throw err;
+      });
+  };
+
+  const join = (ws, session, message) => {
+    if (session.room) {
+      return send(ws, { type: "error", error: "Already in a room" });
+    }
+
+    const name = message.room;
+
+    if (typeof name !== "string" || !ROOM_NAME.test(name)) {
+      return send(ws, { type: "error", error: "Invalid room" });
+    }
+
+    if (!rooms.has(name)) {
+      rooms.set(
+        name,
+
+        openRoom(name, message).then(
+          (result) => {
+            if (result.error) rooms.delete(name);
+
+            return result;
+          },
+
+          (err) => {
+            rooms.delete(name);
+
+            throw err;
+          },
+        ),
+      );
+    }
+
+    joining.set(name, (joining.get(name) || 0) + 1);
+
+    const arrived = () => {
+      const waiting = joining.get(name) - 1;
+
+      if (waiting > 0) {
+        joining.set(name, waiting);
+      } else {
+        joining.delete(name);
+      }
+    };
+
+    return rooms
+      .get(name)
+      .finally(arrived)
+      .then(({ room, error }) => {
+        if (error) return send(ws, { type: "error", error });
+
+        // The player may have hung up while the room was opening
+
+        if (!sessions.has(ws)) return closeIfEmpty(room);
+
+        session.room = room;
+
+        session.player = room.join(message.name);
+
+        return room.state().then((state) => {
+          send(ws, { type: "welcome", player: session.player.id, ...state });
+
+          broadcast(room, { type: "joined", player: session.player }, ws);
+        });
+      });
+  };
+
+  const handle = (ws, session, message) => {
+    if (message.type === "join") return join(ws, session, message);
+
+    const { room, player } = session;
+
+    if (!room) return send(ws, { type: "error", error: "Join a room first" });
+
+    if (message.type === "cursor") {
+      const { coordinate, error } = room.moveCursor(
+        player.id,
+
+        message.coordinate === undefined ? null : message.coordinate,
+      );
+
+      if (error) return send(ws, { type: "error", error });
+
+      return broadcast(
+        room,
+
+        { type: "cursor", player: player.id, coordinate },
+
+        ws,
+      );
+    }
+
+    if (message.type === "edit") {
+      return room.edit(player.id, message).then((result) => {
+        if (result.error) {
+          return send(ws, { type: "error", error: result.error });
+        }
+
+        if (result.rejected) {
+          return send(ws, { type: "rejected", ...result.rejected });
+        }
+
+        return broadcast(room, { type: "edit", ...result.applied });
+      });
+    }
+
+    return send(ws, { type: "error", error: "Invalid message type" });
+  };
+
+  wss.on("connection", (ws) => {
+    // A client's messages are handled in the order it sent them
+
+    const session = {
+      room: null,
+
+      player: null,
+
+      alive: true,
+
+      pending: Promise.resolve(),
+    };
+
+    sessions.set(ws, session);
+
+    ws.on("pong", () => {
+      session.alive = true;
+    });
+
+    ws.on("message", (data) => {
+      let message;
+
+      try {
+        message = JSON.parse(data);
+      } catch (err) {
+        message = null;
+      }
+
+      if (typeof message !== "object" || message === null) {
+        return send(ws, { type: "error", error: "Invalid message" });
+      }
+
+      session.pending = session.pending
+        .then(() => handle(ws, session, message))
+        .catch((err) => {
+          console.error(err);
+
+          send(ws, { type: "error", error: "Internal server error" });
+        });
+    });
+
+    ws.on("close", () => {
+      sessions.delete(ws);
+
+      const { room, player } = session;
+
+      if (!room) return;
+
+      room.leave(player.id);
+
+      broadcast(room, { type: "left", player: player.id });
+
+      closeIfEmpty(room).catch((err) => console.error(err));
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    sessions.forEach((session, ws) => {
+      if (!session.alive) return ws.terminate();
+
+      session.alive = false;
+
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  heartbeat.unref();
+
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+};
@@ -0,0 +1,137 @@
+// Bundles the library (index.js and every module it requires) into dist/:
+//
+// - sudoku.cjs: a CommonJS module
+// - sudoku.mjs: an ES module, which the front-end loads
+// - sudoku.js: a browser script that sets the global `Sudoku`
+//
+// The library only requires its own modules, so each one is wrapped in a
+// function and given a small require() that looks the others up by path.
+//
+// Usage: npm run build
+
+const fs = require("fs");
+const path = require("path");
+const { version } = require("../package.json");
+
+const ROOT = path.join(__dirname, "..");
+
+const ENTRY = "index.js";
+
+const REQUIRE_CALL = /\brequire\("([^"]+)"\)/g;
+
+// Module ids are paths from the repository root, with forward slashes
+
+const idOf = (file) => path.relative(ROOT, file).split(path.sep).join("/");
+
+/**
+
+ * Reads a module and, recursively, every module it requires.
+
+ * @param {string} file - The module's absolute path.
+
+ * @param {Map<string, string>} [modules] - The modules read so far.
+
+ * @returns {Map<string, string>} - The source of every module by id, with each require() rewritten to the id it loads.
+
+ */
+
+function collect(file, modules = new Map()) {
+  const id = idOf(file);
+
+  if (modules.has(id)) return modules;
+
+  // Claims the id before the requires are followed, in case of a cycle
+
+  modules.set(id, "");
+
+  const source = fs
+    .readFileSync(file, "utf8")
+    .replace(REQUIRE_CALL, (call, request) => {
+      if (!request.startsWith(".")) {
+        throw new Error(`${id} requires "${request}", which can't be bundled`);
+      }
+
+      const target = path.resolve(path.dirname(file), request);
+
+      collect(target, modules);
+
+      return `require(${JSON.stringify(idOf(target))})`;
+    });
+
+  modules.set(id, source);
+
+  return modules;
+}
+
+// An expression that evaluates to the library's exports
+
+function bundle(modules) {
+  const definitions = [...modules].map(
+    ([id, source]) =>
+      `  ${JSON.stringify(id)}: function (module, exports, require) {\n${source}\n  },`,
+  );
+
+  return [
+    "(function () {",
+    "const modules = {",
+    ...definitions,
+    "};",
+    "",
+    "const cache = {};",
+    "",
+    "function load(id) {",
+    "  if (!cache[id]) {",
+    "    cache[id] = { exports: {} };",
+    "",
+    "    modules[id](cache[id], cache[id].exports, load);",
+    "  }",
+    "",
+    "  return cache[id].exports;",
+    "}",
+    "",
+    `return load(${JSON.stringify(ENTRY)});`,
+    "})()",
+  ].join("\n");
+}
+
+/**
+
+ * Writes the three builds.
+
+ * @param {string} [outDir] - Where to write them (dist/ by default).
+
+ * @returns {string[]} - The files written.
+
+ */
+
+function build(outDir = path.join(ROOT, "dist")) {
+  const library = bundle(collect(path.join(ROOT, ENTRY)));
+
+  const names = Object.keys(require(path.join(ROOT, ENTRY)));
+
+  const banner = `/* sudoku-solver ${version} | MIT */\n`;
+
+  const builds = {
+    "sudoku.cjs": `module.exports = ${library};\n`,
+
+    "sudoku.mjs": `const library = ${library};\n\nexport const { ${names.join(", ")} } = library;\n\nexport default library;\n`,
+
+    "sudoku.js": `globalThis.Sudoku = ${library};\n`,
+  };
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  return Object.entries(builds).map(([name, code]) => {
+    const file = path.join(outDir, name);
+
+    fs.writeFileSync(file, banner + code);
+
+    return file;
+  });
+}
+
+module.exports = { build };
+
+if (require.main === module) {
+  build().forEach((file) => console.log(`Wrote ${path.relative(ROOT, file)}`));
+}
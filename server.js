@@ -6,15 +6,19 @@ const cors        = require('cors');
 
 const fccTestingRoutes  = require('./routes/fcctesting.js');
 const apiRoutes         = require('./routes/api.js');
+const collaboration     = require('./routes/collaboration.js');
+const { errorHandler }  = require('./routes/api-errors.js');
 const runner            = require('./test-runner');
 
 const app = express();
 
 app.use('/public', express.static(process.cwd() + '/public'));
+app.use('/dist', express.static(process.cwd() + '/dist')); // the library, built by npm run build (run by npm install)
 app.use(cors({origin: '*'})); //For FCC testing purposes only
 
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '200kb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(bodyParser.text({ type: ['text/plain', 'text/csv'], limit: '200kb' })); // batches and puzzle files
 
 //Index page (static HTML)
 app.route('/')
@@ -35,9 +39,12 @@ app.use(function(req, res, next) {
     .send('Not Found');
 });
 
+//Error Middleware: structured errors for /api/v2
+app.use(errorHandler);
+
 //Start our server and tests!
 const PORT = process.env.PORT || 3000
-app.listen(PORT, function () {
+const listener = app.listen(PORT, function () {
   console.log("Listening on port " + PORT);
   // process.env.NODE_ENV='test'
   if (process.env.NODE_ENV==='test') {
@@ -53,4 +60,7 @@ app.listen(PORT, function () {
   }
 });
 
+// Collaborative solving over WebSockets, on the same port
+collaboration(listener);
+
 module.exports = app; // for testing
@@ -2,8 +2,43 @@ const chai = require("chai");
 const assert = chai.assert;
 
 const SudokuSolver = require("../controllers/sudoku-solver.js");
-const { puzzlesAndSolutions } = require("../controllers/puzzle-strings");
+const LogicalSolver = require("../controllers/logical-solver.js");
+const PuzzleGenerator = require("../controllers/puzzle-generator.js");
+const { parseBatch, solveBatch } = require("../controllers/batch-solver.js");
+const { SearchTimeoutError } = require("../controllers/sudoku-engine.js");
+const { renderSvg, renderPdf } = require("../controllers/renderer.js");
+const { validateCages } = require("../controllers/cages.js");
+const { validateRegions } = require("../controllers/regions.js");
+const PuzzleLibrary = require("../controllers/puzzle-library.js");
+const { MemoryStore } = require("../controllers/library-stores.js");
+const GameSessions = require("../controllers/game-sessions.js");
+const CollaborationRoom = require("../controllers/collaboration-room.js");
+const { Readable } = require("stream");
+const { run } = require("../bin/sudoku.js");
+const fs = require("fs");
+const { execFile } = require("child_process");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+const library = require("../index.js");
+const { build } = require("../scripts/build.js");
+const {
+  composeTransforms,
+  operationTransform,
+} = require("../controllers/transformations.js");
+const {
+  parsePuzzle,
+  formatPuzzle,
+} = require("../controllers/puzzle-formats.js");
+const {
+  puzzlesAndSolutions,
+  killerPuzzle,
+  jigsawPuzzle,
+} = require("../controllers/puzzle-strings");
+const slowPuzzle = require("./slow-puzzle.js");
 let solver = new SudokuSolver();
+let logicalSolver = new LogicalSolver();
+let generator = new PuzzleGenerator(solver);
 
 suite("UnitTests", () => {
   // #1
@@ -123,4 +158,1122 @@ suite("UnitTests", () => {
     assert.equal(solver.solve(puzzle), solution);
     done();
   });
+
+  // #13
+  test("Solution counter reports a unique puzzle", (done) => {
+    const puzzle = puzzlesAndSolutions[2][0];
+    const result = solver.countSolutions(puzzle, 2);
+    assert.equal(result.count, 1);
+    assert.deepEqual(result.solutions, [puzzlesAndSolutions[2][1]]);
+    done();
+  });
+
+  // #14
+  test("Solution counter stops at the limit for a puzzle with many solutions", (done) => {
+    const result = solver.countSolutions(".".repeat(81), 3);
+    assert.equal(result.count, 3);
+    assert.lengthOf(new Set(result.solutions), 3);
+    result.solutions.forEach((solution) => {
+      assert.match(solution, /^[1-9]{81}$/);
+    });
+    done();
+  });
+
+  // #15
+  test("Solution counter reports no solutions for conflicting givens", (done) => {
+    const puzzle =
+      "115..2.84..63.12.7.2..5.....9..1....8.2.3674.3.7.2..9.47...8..1..16....8.........";
+    assert.deepEqual(solver.countSolutions(puzzle), { count: 0, solutions: [] });
+    done();
+  });
+
+  // #16
+  test("Logical solver explains an easy puzzle with singles", (done) => {
+    const result = logicalSolver.solve(puzzlesAndSolutions[0][0]);
+    assert.isTrue(result.solved);
+    assert.equal(result.puzzle, puzzlesAndSolutions[0][1]);
+    assert.equal(result.steps.length, 81 - 38);
+    result.steps.forEach((step) => {
+      assert.include(["hidden-single", "naked-single"], step.technique);
+      assert.match(step.placement.cell, /^[A-I][1-9]$/);
+      assert.match(step.placement.value, /^[1-9]$/);
+    });
+    done();
+  });
+
+  // #17
+  test("Logical solver uses advanced techniques and only removes wrong candidates", (done) => {
+    const puzzle =
+      ".2.7..5.45.......27....9.6......7......3..498......2....512......9..3.4..1.4.8...";
+    const solution =
+      "928761534561834972734259861142987653657312498893645217475126389289573146316498725";
+    const result = logicalSolver.solve(puzzle);
+    const techniques = result.steps.map((step) => step.technique);
+    assert.isTrue(result.solved);
+    assert.equal(result.puzzle, solution);
+    assert.include(techniques, "x-wing");
+    assert.include(techniques, "xy-wing");
+    result.steps.forEach((step) => {
+      step.eliminations.forEach(({ cell, value }) => {
+        const index =
+          (cell.charCodeAt(0) - 65) * 9 + parseInt(cell.slice(1), 10) - 1;
+        assert.notEqual(solution[index], value);
+      });
+    });
+    done();
+  });
+
+  // #18
+  test("Rating places a singles-only puzzle in the easy tier", (done) => {
+    const rating = solver.rate(puzzlesAndSolutions[0][0]);
+    assert.equal(rating.tier, "easy");
+    assert.equal(rating.hardest, "hidden-single");
+    assert.isFalse(rating.guessing);
+    assert.deepEqual(rating.techniques, { "hidden-single": 43 });
+    done();
+  });
+
+  // #19
+  test("Rating ranks harder techniques and guessing above singles", (done) => {
+    const expert = solver.rate(
+      ".2.7..5.45.......27....9.6......7......3..498......2....512......9..3.4..1.4.8...",
+    );
+    const diabolical = solver.rate(
+      "8..........36......7..9.2...5...7.......457.....1...3...1....68..85...1..9....4..",
+    );
+    assert.equal(expert.tier, "expert");
+    assert.isFalse(expert.guessing);
+    assert.equal(diabolical.tier, "diabolical");
+    assert.isTrue(diabolical.guessing);
+    assert.isAbove(diabolical.score, expert.score);
+    assert.isAbove(expert.score, solver.rate(puzzlesAndSolutions[0][0]).score);
+    done();
+  });
+
+  // #20
+  test("Generator produces a unique, symmetric puzzle at the requested tier", (done) => {
+    const result = generator.generate({
+      difficulty: "easy",
+      symmetry: "rotational",
+      seed: 42,
+    });
+    assert.equal(result.difficulty.tier, "easy");
+    assert.equal(solver.countSolutions(result.puzzle).count, 1);
+    assert.equal(solver.solve(result.puzzle), result.solution);
+    assert.equal(result.puzzle.replace(/\./g, "").length, result.clues);
+    for (let i = 0; i < 81; i++) {
+      assert.equal(result.puzzle[i] === ".", result.puzzle[80 - i] === ".");
+    }
+    done();
+  });
+
+  // #21
+  test("Generator output is reproducible from its seed", (done) => {
+    const options = { minClues: 30, maxClues: 34, symmetry: "mirror", seed: "daily" };
+    const first = generator.generate(options);
+    assert.deepEqual(generator.generate(options), first);
+    assert.isAtLeast(first.clues, 30);
+    assert.isAtMost(first.clues, 34);
+    done();
+  });
+
+  // #22
+  test("Solver handles hard and near-empty puzzles", (done) => {
+    const puzzles = [
+      "8..........36......7..9.2...5...7.......457.....1...3...1....68..85...1..9....4..",
+      "4.....8.5.3..........7......2.....6.....8.4......1.......6.3.7.5..2.....1.4......",
+      "1................................................................................",
+    ];
+    puzzles.forEach((puzzle) => {
+      const solution = solver.solve(puzzle);
+      assert.match(solution, /^[1-9]{81}$/);
+      for (let i = 0; i < 81; i++) {
+        if (puzzle[i] !== ".") assert.equal(solution[i], puzzle[i]);
+      }
+      assert.isTrue(solver.hasValidGivens(solution));
+    });
+    assert.equal(solver.countSolutions(puzzles[0]).count, 1);
+    done();
+  });
+
+  // #23
+  test("Logical solver hints the first move it would make", (done) => {
+    const puzzle = puzzlesAndSolutions[0][0];
+    const hint = logicalSolver.hint(puzzle);
+    const [firstStep] = logicalSolver.solve(puzzle).steps;
+    assert.equal(hint.cell, firstStep.placement.cell);
+    assert.equal(hint.value, firstStep.placement.value);
+    assert.equal(hint.technique, firstStep.technique);
+    assert.equal(hint.unit, firstStep.unit);
+    assert.isNull(logicalSolver.hint(puzzlesAndSolutions[0][1]));
+    done();
+  });
+
+  // #24
+  test("Candidates list the legal digits of every empty cell", (done) => {
+    const puzzle = puzzlesAndSolutions[0][0];
+    const candidates = solver.getCandidates(puzzle);
+    assert.lengthOf(Object.keys(candidates), 81 - 38);
+    assert.notProperty(candidates, "A1");
+    assert.deepEqual(candidates.A5, ["6", "7", "9"]);
+    Object.keys(candidates).forEach((coordinate) => {
+      const [row, column] = [coordinate[0], coordinate[1]];
+      for (let digit = 1; digit <= 9; digit++) {
+        const value = digit.toString();
+        const legal =
+          solver.checkRowPlacement(puzzle, row, column, value) &&
+          solver.checkColPlacement(puzzle, row, column, value) &&
+          solver.checkRegionPlacement(puzzle, row, column, value);
+        assert.equal(candidates[coordinate].includes(value), legal);
+      }
+    });
+    done();
+  });
+
+  // #25
+  test("Batch parser accepts arrays and newline-delimited text", (done) => {
+    const [first, second] = puzzlesAndSolutions.map((pair) => pair[0]);
+    assert.deepEqual(parseBatch([first, second]), [first, second]);
+    assert.deepEqual(parseBatch(`${first}\r\n\n  ${second}  \n`), [first, second]);
+    assert.isNull(parseBatch([first, 42]));
+    assert.isNull(parseBatch({ puzzle: first }));
+    done();
+  });
+
+  // #26
+  test("Batch solver reports a result per puzzle and honours the time limit", (done) => {
+    const puzzles = [puzzlesAndSolutions[0][0], "1.5..2", puzzlesAndSolutions[1][0]];
+    solveBatch(solver, puzzles)
+      .then((batch) => {
+        assert.equal(batch.solved, 2);
+        assert.equal(batch.failed, 1);
+        assert.equal(batch.results[0].solution, puzzlesAndSolutions[0][1]);
+        assert.equal(
+          batch.results[1].error,
+          "Expected puzzle to be 81 characters long",
+        );
+        assert.isNumber(batch.results[2].ms);
+        return solveBatch(solver, puzzles, { timeLimit: -1 });
+      })
+      .then((batch) => {
+        assert.equal(batch.skipped, 3);
+        assert.equal(batch.results[0].error, "Batch time limit exceeded");
+        done();
+      })
+      .catch(done);
+  });
+
+  // #27
+  test("Logic handles 4x4 and 16x16 boards", (done) => {
+    const small = new SudokuSolver({ size: 4 });
+    assert.isTrue(small.validate("1.3..4.22.4..3.1").valid);
+    assert.deepEqual(small.validate("1.3..4.22.4..3.5"), {
+      valid: false,
+      error: "Invalid characters in puzzle",
+    });
+    assert.deepEqual(small.validate("1.3."), {
+      valid: false,
+      error: "Expected puzzle to be 16 characters long",
+    });
+    assert.equal(small.solve("1.3..4.22.4..3.1"), "1234341221434321");
+
+    const large = new SudokuSolver({ size: 16 });
+    const solution = large.solve(".".repeat(256));
+    assert.match(solution, /^[1-9A-G]{256}$/);
+    assert.isTrue(large.hasValidGivens(solution));
+    assert.isTrue(large.validate(solution).valid);
+    assert.throws(() => new SudokuSolver({ size: 8 }), RangeError);
+    done();
+  });
+
+  // #28
+  test("Logic handles rectangular regions on a 6x6 board", (done) => {
+    const solver6 = new SudokuSolver({ size: 6 });
+    // 2x3 regions: A1-A3 and B1-B3 share one
+    const puzzle = "1..........." + ".".repeat(24);
+    assert.isFalse(solver6.checkRegionPlacement(puzzle, "B", "3", "1"));
+    assert.isTrue(solver6.checkRegionPlacement(puzzle, "C", "1", "1"));
+    assert.isTrue(solver6.checkRegionPlacement(puzzle, "B", "4", "1"));
+    assert.deepEqual(solver6.parseCoordinate("f6"), { row: "F", column: "6" });
+    assert.isNull(solver6.parseCoordinate("G1"));
+    assert.isNull(solver6.parseCoordinate("A7"));
+    done();
+  });
+
+  // #29
+  test("Solver honours diagonal and anti-knight variants", (done) => {
+    const diagonal = new SudokuSolver({ variants: ["diagonal"] });
+    const solution = diagonal.solve(".".repeat(81));
+    const main = [0, 1, 2, 3, 4, 5, 6, 7, 8].map((i) => solution[i * 10]);
+    const anti = [0, 1, 2, 3, 4, 5, 6, 7, 8].map((i) => solution[i * 8 + 8]);
+    assert.lengthOf(new Set(main), 9);
+    assert.lengthOf(new Set(anti), 9);
+
+    const antiKnight = new SudokuSolver({ variants: ["anti-knight"] });
+    const grid = antiKnight.stringToGrid(antiKnight.solve(".".repeat(81)));
+    for (let r = 0; r < 7; r++) {
+      for (let c = 0; c < 8; c++) {
+        assert.notEqual(grid[r][c], grid[r + 2][c + 1]);
+        if (c > 0) assert.notEqual(grid[r][c], grid[r + 2][c - 1]);
+      }
+    }
+    assert.throws(() => new SudokuSolver({ size: 4, variants: ["windoku"] }));
+    done();
+  });
+
+  // #30
+  test("Logic names the variant a placement violates", (done) => {
+    const solver = new SudokuSolver({
+      variants: ["diagonal", "windoku", "anti-king"],
+    });
+    // 5 at A1 and C4: B2 shares the diagonal and a king move with A1 and a
+    // windoku box with C4
+    const puzzle = "5" + ".".repeat(20) + "5" + ".".repeat(59);
+    assert.deepEqual(solver.checkVariantPlacement(puzzle, "B", "2", "5"), [
+      "diagonal",
+      "windoku",
+      "anti-king",
+    ]);
+    assert.deepEqual(solver.checkVariantPlacement(puzzle, "B", "2", "4"), []);
+    assert.isFalse(solver.hasValidGivens("55" + ".".repeat(79)));
+    done();
+  });
+
+  // #31
+  test("Solver solves a Killer Sudoku from its cages alone", (done) => {
+    const killer = new SudokuSolver({ cages: killerPuzzle.cages });
+    assert.deepEqual(killer.countSolutions(".".repeat(81)), {
+      count: 1,
+      solutions: [killerPuzzle.solution],
+    });
+    done();
+  });
+
+  // #32
+  test("Logic validates Killer cages", (done) => {
+    const cages = killerPuzzle.cages;
+    assert.deepEqual(validateCages(cages), { valid: true });
+    assert.deepEqual(validateCages([{ sum: 10, cells: ["A1", "J1"] }]), {
+      valid: false,
+      error: "Invalid cages",
+    });
+    assert.deepEqual(validateCages(cages.slice(1)), {
+      valid: false,
+      error: "Cages must cover every cell exactly once",
+    });
+    // Merge the single-cell cages at I4 and I7
+    const split = cages.slice(0, -2).concat({ sum: 4, cells: ["I4", "I7"] });
+    assert.deepEqual(validateCages(split), {
+      valid: false,
+      error: "Cage cells must be contiguous",
+    });
+    const unreachable = cages.map((cage, i) =>
+      i === 0 ? { sum: 18, cells: cage.cells } : cage,
+    );
+    assert.deepEqual(validateCages(unreachable), {
+      valid: false,
+      error: "Cage sum cannot be reached",
+    });
+    assert.throws(() => new SudokuSolver({ cages: cages.slice(1) }));
+    done();
+  });
+
+  // #33
+  test("Logic handles cage placements and givens", (done) => {
+    const killer = new SudokuSolver({ cages: killerPuzzle.cages });
+    // A1 and B1 make 10, and A6 and B6 make 3
+    const puzzle = "1" + ".".repeat(80);
+    assert.isTrue(killer.checkCagePlacement(puzzle, "B", "1", "9"));
+    assert.isFalse(killer.checkCagePlacement(puzzle, "B", "1", "8"));
+    assert.isFalse(killer.checkCagePlacement(puzzle, "A", "6", "3"));
+    assert.deepEqual(killer.validate("5" + ".".repeat(80)), {
+      valid: false,
+      error: "Cage sum cannot be reached",
+    });
+    // C4 and E5 share a cage but no row, column or region
+    const repeated = ".".repeat(21) + "1" + ".".repeat(18) + "1" + ".".repeat(40);
+    assert.isFalse(killer.hasValidGivens(repeated));
+    done();
+  });
+
+  // #34
+  test("Solver solves a jigsaw puzzle with its region map", (done) => {
+    const jigsaw = new SudokuSolver({ regions: jigsawPuzzle.regions });
+    assert.deepEqual(jigsaw.countSolutions(jigsawPuzzle.puzzle), {
+      count: 1,
+      solutions: [jigsawPuzzle.solution],
+    });
+    assert.equal(solver.countSolutions(jigsawPuzzle.puzzle).count, 2);
+    done();
+  });
+
+  // #35
+  test("Logic handles region placements on a jigsaw board", (done) => {
+    const jigsaw = new SudokuSolver({ regions: jigsawPuzzle.regions });
+    const { puzzle } = jigsawPuzzle;
+    // C3 belongs to the region below it, which already holds a 5
+    assert.isFalse(jigsaw.checkRegionPlacement(puzzle, "C", "3", "5"));
+    assert.isTrue(solver.checkRegionPlacement(puzzle, "C", "3", "5"));
+    assert.isTrue(jigsaw.checkRegionPlacement(puzzle, "C", "3", "7"));
+    assert.isFalse(solver.checkRegionPlacement(puzzle, "C", "3", "7"));
+    done();
+  });
+
+  // #36
+  test("Logic rejects region maps that aren't nine connected regions of nine cells", (done) => {
+    const { regions } = jigsawPuzzle;
+    assert.deepEqual(validateRegions(regions), { valid: true });
+    assert.deepEqual(validateRegions(regions.slice(1)), {
+      valid: false,
+      error: "Expected region map to be 81 characters long",
+    });
+    assert.deepEqual(validateRegions("2" + regions.slice(1)), {
+      valid: false,
+      error: "Region map must have 9 regions of 9 cells",
+    });
+    // Swapping A1 and I9 keeps the counts but splits both regions
+    assert.deepEqual(validateRegions("9" + regions.slice(1, 80) + "1"), {
+      valid: false,
+      error: "Regions must be contiguous",
+    });
+    assert.throws(() => new SudokuSolver({ regions: regions.slice(1) }));
+    done();
+  });
+
+  // #37
+  test("Logic reads puzzles in other formats", (done) => {
+    const [puzzle] = puzzlesAndSolutions[0];
+    const rows = puzzle.match(/.{9}/g);
+    assert.equal(parsePuzzle(puzzle.replace(/\./g, "0"), "string"), puzzle);
+    assert.equal(parsePuzzle(puzzle.replace(/\./g, "_"), "string"), puzzle);
+    const sdk = "#A Partner site\n#D Daily puzzle\n" + rows.join("\n");
+    assert.equal(parsePuzzle(sdk, "sdk"), puzzle);
+    const csv = rows
+      .map((row) => row.split("").map((c) => (c === "." ? "0" : c)).join(","))
+      .join("\r\n");
+    assert.equal(parsePuzzle(csv, "csv"), puzzle);
+    const json = rows.map((row) =>
+      row.split("").map((c) => (c === "." ? null : Number(c))),
+    );
+    assert.equal(parsePuzzle(json, "json"), puzzle);
+    assert.equal(parsePuzzle(JSON.stringify(json), "json"), puzzle);
+    assert.isNull(parsePuzzle(json.slice(1), "json"));
+    assert.isNull(parsePuzzle("[[1, 2", "json"));
+    done();
+  });
+
+  // #38
+  test("Logic writes puzzles in other formats", (done) => {
+    const [puzzle] = puzzlesAndSolutions[0];
+    const grid = formatPuzzle(puzzle, "grid");
+    assert.equal(grid.split("\n")[0], "1 . 5 | . . 2 | . 8 4");
+    assert.equal(grid.split("\n")[3], "------+-------+------");
+    const ss = formatPuzzle(puzzle, "ss");
+    assert.equal(ss.split("\n")[0], "1.5|..2|.84");
+    assert.equal(ss.split("\n")[3], "-----------");
+    assert.equal(formatPuzzle(puzzle, "csv").split("\n")[0], "1,,5,,,2,,8,4");
+    assert.deepEqual(formatPuzzle(puzzle, "json")[0], [1, 0, 5, 0, 0, 2, 0, 8, 4]);
+    ["string", "grid", "sdk", "ss", "json", "csv"].forEach((format) => {
+      assert.equal(parsePuzzle(formatPuzzle(puzzle, format), format), puzzle);
+    });
+    assert.equal(formatPuzzle("1.3..4.22.4..3.1", "grid", 4).split("\n")[2], "----+----");
+    done();
+  });
+
+  // #39
+  test("Renderer draws givens, solved cells and pencil marks as SVG", (done) => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    const svg = renderSvg({ puzzle, solution });
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    // 38 givens in bold, the other 43 cells in the solution colour
+    assert.lengthOf(svg.match(/font-weight="bold" fill="#000000">\d</g), 38);
+    assert.lengthOf(svg.match(/fill="#2a5db0">\d</g), 43);
+    assert.notInclude(svg, ">A</text>");
+    const labelled = renderSvg({ puzzle }, { labels: true });
+    assert.include(labelled, ">A</text>");
+    assert.include(labelled, ">9</text>");
+    const marks = renderSvg({ puzzle, candidates: solver.getCandidates(puzzle) });
+    assert.include(marks, 'fill="#777777">');
+    done();
+  });
+
+  // #40
+  test("Renderer writes a PDF page with a valid cross-reference table", (done) => {
+    const puzzles = puzzlesAndSolutions.map(([puzzle]) => ({ puzzle }));
+    const pdf = renderPdf(puzzles).toString("latin1");
+    assert.match(pdf, /^%PDF-1\.4\n/);
+    assert.match(pdf, /%%EOF\n$/);
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    assert.equal(pdf.slice(xref, xref + 4), "xref");
+    const offsets = [...pdf.slice(xref).matchAll(/(\d{10}) 00000 n /g)];
+    assert.lengthOf(offsets, 6);
+    offsets.forEach(([, offset], i) => {
+      assert.equal(pdf.substr(Number(offset), 7), `${i + 1} 0 obj`);
+    });
+    const length = Number(pdf.match(/\/Length (\d+)/)[1]);
+    const start = pdf.indexOf("stream\n") + "stream\n".length;
+    assert.equal(pdf.substr(start + length, 10), "\nendstream");
+    done();
+  });
+
+  // #41
+  test("Library rejects puzzles without exactly one solution and relabelled duplicates", (done) => {
+    const library = new PuzzleLibrary(new MemoryStore(), { solver });
+    const [puzzle] = puzzlesAndSolutions[0];
+    const swapped = puzzle.replace(/[12]/g, (d) => (d === "1" ? "2" : "1"));
+    library
+      .add({ puzzle })
+      .then(({ entry }) => {
+        assert.equal(entry.clues, puzzle.replace(/\./g, "").length);
+        return library.add({ puzzle: swapped }).then((result) => {
+          assert.deepEqual(result, {
+            error: "Puzzle already in library",
+            id: entry.id,
+          });
+        });
+      })
+      .then(() => library.add({ puzzle: ".".repeat(81) }))
+      .then((result) => {
+        assert.deepEqual(result, { error: "Puzzle has more than one solution" });
+        done();
+      })
+      .catch(done);
+  });
+
+  // #42
+  test("Library search filters by tag, clue count and solved flag", (done) => {
+    const library = new PuzzleLibrary(new MemoryStore(), {
+      solver,
+      seed: puzzlesAndSolutions.map(([puzzle]) => puzzle),
+    });
+    const clues = puzzlesAndSolutions[1][0].replace(/\./g, "").length;
+    library
+      .search({ tag: "weekly" })
+      .then((entries) => {
+        assert.lengthOf(entries, 0);
+        return library.search({ clues: String(clues) });
+      })
+      .then((entries) => {
+        assert.isAtLeast(entries.length, 1);
+        assert.isTrue(entries.every((entry) => entry.clues === clues));
+        return library.update(entries[0].id, { tags: ["Weekly"], solved: "true" });
+      })
+      .then(({ entry }) => {
+        assert.deepEqual(entry.tags, ["weekly"]);
+        return library.search({ tag: "weekly", solved: "true" });
+      })
+      .then((entries) => {
+        assert.lengthOf(entries, 1);
+        assert.deepEqual(library.validateFilters({ minClues: "x" }), {
+          valid: false,
+          error: "Invalid clue range",
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  // #43
+  test("Canonical form is shared by rotated and relabelled copies of a puzzle", (done) => {
+    const [puzzle] = puzzlesAndSolutions[2];
+    // rotated a quarter turn clockwise, with every digit d becoming 10 - d
+    const rotated = puzzle
+      .split("")
+      .map((_, i) => puzzle[(8 - (i % 9)) * 9 + Math.floor(i / 9)])
+      .map((char) => (char === "." ? char : String(10 - char)))
+      .join("");
+    const { canonical } = solver.canonicalize(puzzle);
+    assert.equal(solver.canonicalize(rotated).canonical, canonical);
+    assert.lengthOf(canonical, 81);
+    assert.equal(canonical.replace(/\./g, "").length, puzzle.replace(/\./g, "").length);
+    assert.notEqual(solver.canonicalize(puzzlesAndSolutions[3][0]).canonical, canonical);
+    done();
+  });
+
+  // #44
+  test("Transformation between equivalent puzzles turns one into the other", (done) => {
+    const [puzzle] = puzzlesAndSolutions[0];
+    // reflected in the anti-diagonal
+    const other = puzzle
+      .split("")
+      .map((_, i) => puzzle[(8 - (i % 9)) * 9 + 8 - Math.floor(i / 9)])
+      .join("");
+    const { transform } = solver.findTransform(puzzle, other);
+    const grid = solver.stringToGrid(puzzle);
+    const rows = transform.rows.split("").map((r) => solver.letterToNumber(r));
+    const cols = transform.columns.split("").map((c) => c - 1);
+    const moved = rows
+      .flatMap((r) =>
+        cols.map((c) => (transform.transpose ? grid[c][r] : grid[r][c])),
+      )
+      .map((char) => (char === "." ? char : transform.digits[char - 1]))
+      .join("");
+    assert.equal(moved, other);
+    assert.isNull(solver.findTransform(puzzle, puzzlesAndSolutions[1][0]));
+    done();
+  });
+
+  // #45
+  test("Rotation and mirror operations move the cells where expected", (done) => {
+    const [, solution] = puzzlesAndSolutions[0];
+    const apply = (...operations) =>
+      solver.applyTransform(
+        solution,
+        composeTransforms(
+          operations.map((operation) => operationTransform(operation, solver).transform),
+          solver,
+        ),
+      );
+    const rotated = apply({ type: "rotate", degrees: 90 });
+    // the left column, read bottom to top, becomes the top row
+    assert.equal(rotated.slice(0, 9), [8, 7, 6, 5, 4, 3, 2, 1, 0].map((r) => solution[r * 9]).join(""));
+    assert.equal(apply({ type: "rotate", degrees: 90 }, { type: "rotate", degrees: 270 }), solution);
+    assert.equal(apply({ type: "rotate", degrees: 180 }), solution.split("").reverse().join(""));
+    assert.equal(
+      apply({ type: "mirror", axis: "horizontal" }, { type: "mirror", axis: "vertical" }),
+      apply({ type: "rotate", degrees: 180 }),
+    );
+    assert.equal(apply({ type: "swapBands", bands: [1, 3] }).slice(0, 27), solution.slice(54));
+    assert.isTrue(solver.hasValidGivens(apply({ type: "shuffle", seed: 1 })));
+    done();
+  });
+
+  // #46
+  test("Operations are checked against the board", (done) => {
+    const sixBySix = new SudokuSolver({ size: 6 });
+    assert.deepEqual(operationTransform({ type: "transpose" }, sixBySix), {
+      error: "Quarter turns and transposing need square boxes",
+    });
+    assert.property(operationTransform({ type: "rotate", degrees: 180 }, sixBySix), "transform");
+    assert.deepEqual(operationTransform({ type: "swapStacks", stacks: [1, 4] }, solver), {
+      error: "Invalid operations",
+    });
+    assert.deepEqual(operationTransform({ type: "relabel", digits: "112345678" }, solver), {
+      error: "Invalid operations",
+    });
+    assert.equal(operationTransform({ type: "shuffle" }, solver).operation.type, "shuffle");
+    assert.isNumber(operationTransform({ type: "shuffle" }, solver).operation.seed);
+    done();
+  });
+
+  // #47
+  test("Analysis lists every clash among the givens with its unit", (done) => {
+    const [puzzle] = puzzlesAndSolutions[0];
+    // a second 5 in row A, next to the first
+    const typo = puzzle.slice(0, 1) + "5" + puzzle.slice(2);
+    assert.deepEqual(solver.analyze(typo), {
+      status: "contradictory",
+      conflicts: [
+        { unit: "row", value: "5", cells: ["A2", "A3"] },
+        { unit: "region", value: "5", cells: ["A2", "A3"] },
+      ],
+    });
+    const antiKing = new SudokuSolver({ variants: ["anti-king"] });
+    assert.deepEqual(antiKing.analyze("1" + ".".repeat(8) + ".1" + ".".repeat(70)).conflicts, [
+      { unit: "region", value: "1", cells: ["A1", "B2"] },
+      { unit: "anti-king", value: "1", cells: ["A1", "B2"] },
+    ]);
+    done();
+  });
+
+  // #48
+  test("Analysis tells consistent givens without a solution apart", (done) => {
+    // A9 can't be 1-8 (row A) or 9 (B9), yet no two givens clash
+    const stuck = "12345678." + "........9" + ".".repeat(63);
+    assert.deepEqual(solver.analyze(stuck), { status: "unsolvable", conflicts: [] });
+    assert.equal(solver.analyze(puzzlesAndSolutions[0][0]).status, "unique");
+    assert.equal(solver.analyze(".".repeat(81)).status, "multiple");
+    assert.isFalse(solver.analyze("x".repeat(81)));
+    done();
+  });
+
+  // #49
+  test("Verification reports wrong cells, clashes and changed givens", (done) => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    // A1 given changed to 9, a wrong 4 at A2 (the row's 4 is at A9), a right digit at A4
+    const grid = "94" + puzzle.slice(2, 3) + solution[3] + puzzle.slice(4);
+    assert.deepEqual(solver.verify(puzzle, grid, solution), {
+      complete: false,
+      correct: false,
+      wrong: ["A2"],
+      conflicts: [{ unit: "row", value: "4", cells: ["A2", "A9"] }],
+      changedGivens: ["A1"],
+    });
+    assert.deepEqual(solver.verify(puzzle, solution, solution), {
+      complete: true,
+      correct: true,
+      wrong: [],
+      conflicts: [],
+      changedGivens: [],
+    });
+    done();
+  });
+
+  // #50
+  test("Game moves go through the placement checks and count mistakes", (done) => {
+    let now = Date.parse("2024-01-01T10:00:00Z");
+    const games = new GameSessions(new MemoryStore(), { now: () => now });
+    const [puzzle] = puzzlesAndSolutions[0];
+    games
+      .start({ puzzle })
+      .then(({ game }) => {
+        assert.include(game, { grid: puzzle, mistakes: 0, elapsed: 0, complete: false });
+        now += 90 * 1000;
+        // row A already has a 5 at A3
+        return games.move(game.id, { coordinate: "A2", value: "5" });
+      })
+      .then(({ valid, conflict, game }) => {
+        assert.isFalse(valid);
+        assert.deepEqual(conflict, ["row", "region"]);
+        assert.include(game, { grid: puzzle, mistakes: 1, elapsed: 90 });
+        return games.move(game.id, { coordinate: "A1", value: "3" });
+      })
+      .then((result) => {
+        assert.deepEqual(result, { error: "Cannot change a given" });
+        return games.start({ puzzle: "1" + ".".repeat(80) + "1" });
+      })
+      .then((result) => {
+        assert.deepEqual(result, { error: "Expected puzzle to be 81 characters long" });
+        done();
+      })
+      .catch(done);
+  });
+
+  // #51
+  test("Game moves and pencil marks can be undone one at a time", (done) => {
+    const games = new GameSessions(new MemoryStore());
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    let id;
+    games
+      .start({ puzzle })
+      .then(({ game }) => {
+        id = game.id;
+        return games.move(id, { action: "mark", coordinate: "A2", value: "6" });
+      })
+      .then(() => games.move(id, { coordinate: "a2", value: solution[1] }))
+      .then(({ valid, game }) => {
+        assert.isTrue(valid);
+        assert.equal(game.grid[1], solution[1]);
+        assert.deepEqual(game.marks, {});
+        assert.deepEqual(game.moves.map((move) => move.action), ["mark", "place"]);
+        return games.undo(id);
+      })
+      .then(({ game }) => {
+        assert.equal(game.grid, puzzle);
+        assert.deepEqual(game.marks, { A2: ["6"] });
+        return games.undo(id).then(() => games.undo(id));
+      })
+      .then((result) => {
+        assert.deepEqual(result, { error: "Nothing to undo" });
+        done();
+      })
+      .catch(done);
+  });
+
+  // #52
+  test("Collaboration refuses edits to cells changed since the sender's revision", (done) => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    let room, first, second;
+    CollaborationRoom.open("weekly", new GameSessions(new MemoryStore()), { puzzle })
+      .then((result) => {
+        room = result.room;
+        first = room.join("Ann").id;
+        second = room.join("Bo").id;
+        return Promise.all([
+          room.edit(first, { coordinate: "A2", value: solution[1], revision: 0 }),
+          room.edit(second, { coordinate: "A2", value: "6", revision: 0 }),
+        ]);
+      })
+      .then(([applied, stale]) => {
+        assert.include(applied.applied, { player: first, revision: 1, coordinate: "A2" });
+        assert.deepEqual(stale.rejected, {
+          reason: "stale",
+          coordinate: "A2",
+          cell: { value: solution[1], marks: [] },
+          revision: 1,
+        });
+        // row A already has a 5 at A3
+        return room.edit(second, { coordinate: "A4", value: "5", revision: 1 });
+      })
+      .then(({ rejected }) => {
+        assert.equal(rejected.reason, "conflict");
+        assert.include(rejected.conflict, "row");
+        assert.equal(rejected.mistakes, 1);
+        return room.edit(second, { action: "erase", coordinate: "a2", revision: 1 });
+      })
+      .then(({ applied }) => {
+        assert.include(applied, { player: second, revision: 2, action: "erase" });
+        assert.deepEqual(applied.cell, { value: ".", marks: [] });
+        done();
+      })
+      .catch(done);
+  });
+
+  // Runs the sudoku command on the given stdin, collecting what it prints
+  const runCli = (args, input = "") => {
+    const io = { stdin: Readable.from([input]), stdout: "", stderr: "" };
+    const streams = {
+      stdin: io.stdin,
+      stdout: { write: (text) => (io.stdout += text) },
+      stderr: { write: (text) => (io.stderr += text) },
+    };
+    return run(args, streams).then((status) => ({ status, stdout: io.stdout, stderr: io.stderr }));
+  };
+
+  // #53
+  test("The sudoku command solves puzzles from stdin, one line per puzzle", (done) => {
+    const [[puzzle, solution], [other, otherSolution]] = puzzlesAndSolutions;
+    runCli(["solve"], `${puzzle}\n\n${other}\n`)
+      .then(({ status, stdout }) => {
+        assert.equal(status, 0);
+        assert.equal(stdout, `${solution}\n${otherSolution}\n`);
+        return runCli(["solve", "--json", puzzle, "1.."]);
+      })
+      .then(({ status, stdout }) => {
+        assert.equal(status, 1);
+        assert.deepEqual(stdout.trim().split("\n").map((line) => JSON.parse(line)), [
+          { puzzle, solution },
+          { puzzle: "1..", error: "Expected puzzle to be 81 characters long" },
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  // #54
+  test("The sudoku command checks, validates and counts, and rejects bad usage", (done) => {
+    const [puzzle] = puzzlesAndSolutions[0];
+    runCli(["check", puzzle, "--coordinate", "A2", "--value=5"])
+      .then(({ status, stdout }) => {
+        assert.equal(status, 1);
+        assert.equal(stdout, "invalid: row, region\n");
+        return runCli(["validate", puzzle, "55" + puzzle.slice(2)]);
+      })
+      .then(({ status, stdout }) => {
+        assert.equal(status, 1);
+        assert.equal(stdout, "valid\nerror: Puzzle has clashing givens\n");
+        return runCli(["count", "--limit", "3", ".".repeat(81)]);
+      })
+      .then(({ status, stdout }) => {
+        assert.equal(status, 0);
+        assert.equal(stdout, "3+\n");
+        return runCli(["check", puzzle]);
+      })
+      .then(({ status, stderr }) => {
+        assert.equal(status, 2);
+        assert.match(stderr, /^sudoku: check needs --coordinate and --value\n/);
+        return runCli(["solve", "--size", "7", puzzle]);
+      })
+      .then(({ status, stderr }) => {
+        assert.equal(status, 2);
+        assert.match(stderr, /^sudoku: Unsupported grid size: 7/);
+        done();
+      })
+      .catch(done);
+  });
+
+  // #55
+  test("The package entry exports the solver and its helpers without the server", (done) => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    assert.equal(require.resolve(".."), require.resolve("../index.js"));
+    assert.equal(new library.SudokuSolver().solve(puzzle), solution);
+    assert.deepEqual(library.validateRegions("A".repeat(81)), validateRegions("A".repeat(81)));
+    assert.equal(library.cellIndex("B3"), 11);
+    assert.include(library.FORMATS, "sdk");
+    // Requiring it in a fresh process loads no Express and leaves nothing
+    // running, so the process exits by itself
+    const script = 'require("."); console.log(Object.keys(require.cache).some((file) => file.includes("express")))';
+    execFile(process.execPath, ["-e", script], { cwd: path.join(__dirname, ".."), timeout: 5000 }, (err, stdout) => {
+      if (err) return done(err);
+      assert.equal(stdout.trim(), "false");
+      done();
+    });
+  });
+
+  // #56
+  test("The build writes CommonJS, ES module and browser bundles of the library", (done) => {
+    const [puzzle, solution] = puzzlesAndSolutions[1];
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "sudoku-build-"));
+    try {
+      const files = build(outDir).map((file) => path.basename(file));
+      assert.deepEqual(files, ["sudoku.cjs", "sudoku.mjs", "sudoku.js"]);
+      const bundle = require(path.join(outDir, "sudoku.cjs"));
+      assert.deepEqual(Object.keys(bundle), Object.keys(library));
+      assert.equal(new bundle.SudokuSolver().solve(puzzle), solution);
+      const esm = fs.readFileSync(path.join(outDir, "sudoku.mjs"), "utf8");
+      assert.include(esm, "export default library;");
+      assert.include(esm, "export const { SudokuSolver, LogicalSolver,");
+      // The browser bundle needs nothing but a global object
+      const context = vm.createContext({});
+      vm.runInContext(fs.readFileSync(path.join(outDir, "sudoku.js"), "utf8"), context);
+      const check = new context.Sudoku.SudokuSolver().placementConflicts(puzzle, "A", "2", "5");
+      assert.deepEqual(Array.from(check), solver.placementConflicts(puzzle, "A", "2", "5"));
+      done();
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  // #57
+  test("Generator hits every tier for a fixed set of seeds", (done) => {
+    ["easy", "medium", "hard", "expert", "diabolical"].forEach((difficulty) => {
+      [1, 2, 3, 4, 5].forEach((seed) => {
+        const result = generator.generate({ difficulty, seed });
+        assert.isNotNull(result, `${difficulty}, seed ${seed}`);
+        assert.equal(result.difficulty.tier, difficulty);
+        assert.equal(solver.countSolutions(result.puzzle).count, 1);
+      });
+    });
+    done();
+  });
+
+  // #58
+  test("Generator hits the upper tiers with symmetry", (done) => {
+    ["hard", "expert"].forEach((difficulty) => {
+      [1, 2].forEach((seed) => {
+        const result = generator.generate({ difficulty, symmetry: "rotational", seed });
+        assert.isNotNull(result, `${difficulty}, seed ${seed}`);
+        assert.equal(result.difficulty.tier, difficulty);
+      });
+    });
+    done();
+  });
+
+  // #59
+  test("A search stops at the solver's time limit", (done) => {
+    const largeSolver = new SudokuSolver({ size: 25, timeLimit: 200 });
+    const started = Date.now();
+    assert.throws(() => largeSolver.solve(slowPuzzle), SearchTimeoutError);
+    assert.isBelow(Date.now() - started, 1000);
+    assert.throws(() => largeSolver.countSolutions(slowPuzzle, 2, { timeLimit: 50 }), SearchTimeoutError);
+    assert.equal(largeSolver.solve(".".repeat(625), { timeLimit: 2000 }).length, 625);
+    done();
+  });
+
+  // #60
+  test("A batch stops a slow puzzle when its time runs out and goes on", (done) => {
+    const largeSolver = new SudokuSolver({ size: 25 });
+    const started = Date.now();
+    solveBatch(largeSolver, [slowPuzzle, ".".repeat(625)], { timeLimit: 300 })
+      .then(({ results, solved, failed, skipped }) => {
+        assert.isBelow(Date.now() - started, 2000);
+        assert.equal(results[0].error, "Puzzle took too long to solve");
+        assert.equal(failed, 1);
+        assert.equal(solved + skipped, 1);
+        done();
+      })
+      .catch(done);
+  });
+
+  // #61
+  test("Logic rejects a puzzle that isn't a string", (done) => {
+    assert.deepEqual(solver.validate(5), {
+      valid: false,
+      error: "Expected puzzle to be 81 characters long",
+    });
+    assert.deepEqual(solver.validate({ a: 1 }), {
+      valid: false,
+      error: "Invalid characters in puzzle",
+    });
+    assert.isFalse(solver.validate(["1".repeat(81)]).valid);
+    assert.isFalse(solver.solve(5));
+    done();
+  });
+
+  // #62
+  test("Logic rejects a cage sum no digits can reach without building a table for it", (done) => {
+    [100000000, 5e9, 0, -1].forEach((sum) => {
+      const cages = killerPuzzle.cages.map((cage, i) => (i === 0 ? { ...cage, sum } : cage));
+      assert.deepEqual(validateCages(cages), {
+        valid: false,
+        error: "Cage sum cannot be reached",
+      });
+    });
+    done();
+  });
+
+  // #63
+  test("Library retries a store that failed to load", (done) => {
+    const store = new MemoryStore();
+    const list = store.list.bind(store);
+    store.list = () => {
+      store.list = list;
+      return Promise.reject(new Error("Unexpected end of JSON input"));
+    };
+    const library = new PuzzleLibrary(store, {
+      solver,
+      seed: [puzzlesAndSolutions[0][0]],
+    });
+    library
+      .search({})
+      .then(
+        () => assert.fail("The first search should fail"),
+        (err) => assert.equal(err.message, "Unexpected end of JSON input"),
+      )
+      .then(() => library.search({}))
+      .then((entries) => {
+        assert.lengthOf(entries, 1);
+        done();
+      })
+      .catch(done);
+  });
+
+  // #64
+  test("Canonical forms of empty and near-empty grids come back quickly", (done) => {
+    const empty = ".".repeat(81);
+    const oneClue = "5" + ".".repeat(80);
+    const started = Date.now();
+    assert.equal(solver.canonicalize(empty).canonical, empty);
+    assert.equal(solver.canonicalize(oneClue).canonical, ".".repeat(80) + "1");
+    const { transform } = solver.findTransform(oneClue, ".".repeat(40) + "7" + ".".repeat(40));
+    assert.equal(transform.rows[4], "A");
+    assert.equal(transform.columns[4], "1");
+    assert.equal(transform.digits[4], "7");
+    assert.isFalse(solver.findTransform(empty, empty).transform.transpose);
+    assert.isBelow(Date.now() - started, 1000);
+    done();
+  });
+
+  // #65
+  test("Games make room for new ones and expire when left untouched", (done) => {
+    let now = Date.parse("2024-01-01T10:00:00Z");
+    const games = new GameSessions(new MemoryStore(), { now: () => now, maxGames: 2 });
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    const ids = [];
+    const start = (fields) => games.start(fields).then(({ game }) => ids.push(game.id));
+    const present = () => Promise.all(ids.map((id) => games.get(id))).then((found) => found.map(Boolean));
+    start({ puzzle })
+      .then(() => start({ puzzle: "." + solution.slice(1) }))
+      .then(() => games.move(ids[1], { coordinate: "A1", value: solution[0] }))
+      .then(({ game }) => {
+        assert.isTrue(game.complete);
+        // the store is full, so the completed game goes
+        return start({ puzzle });
+      })
+      .then(present)
+      .then((found) => {
+        assert.deepEqual(found, [true, false, true]);
+        now += 25 * 60 * 60 * 1000;
+        return start({ puzzle });
+      })
+      .then(present)
+      .then((found) => {
+        assert.deepEqual(found, [false, false, false, true]);
+        done();
+      })
+      .catch(done);
+  });
+
+  // #66
+  test("Generator gives up on options it can't meet once its time is up", (done) => {
+    const limited = new PuzzleGenerator(solver, { timeLimit: 200 });
+    const started = Date.now();
+    assert.isNull(limited.generate({ difficulty: "easy", maxClues: 19, seed: 1 }));
+    assert.isBelow(Date.now() - started, 1000);
+    done();
+  });
+
+  // #67
+  test("Batch rejects when solving a puzzle fails", (done) => {
+    const failing = new SudokuSolver();
+    let calls = 0;
+    failing.solve = () => {
+      // past the first chunk of 50, which runs inside the promise executor
+      if (++calls > 50) throw new Error("Out of memory");
+      return puzzlesAndSolutions[0][1];
+    };
+    const puzzles = Array.from({ length: 60 }, () => puzzlesAndSolutions[0][0]);
+    solveBatch(failing, puzzles)
+      .then(
+        () => assert.fail("The batch should fail"),
+        (err) => assert.equal(err.message, "Out of memory"),
+      )
+      .then(() => done())
+      .catch(done);
+  });
+
+  // #68
+  test("Expired games can't be looked up or played and are removed", (done) => {
+    let now = Date.parse("2024-01-01T10:00:00Z");
+    const store = new MemoryStore();
+    const games = new GameSessions(store, { now: () => now });
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    let idle, finished;
+    Promise.all([games.start({ puzzle }), games.start({ puzzle: "." + solution.slice(1) })])
+      .then(([first, second]) => {
+        idle = first.game.id;
+        finished = second.game.id;
+        return games.move(finished, { coordinate: "A1", value: solution[0] });
+      })
+      .then(() => {
+        now += 2 * 60 * 60 * 1000;
+        return Promise.all([games.get(idle), games.move(finished, { coordinate: "A2", value: "1" })]);
+      })
+      .then(([game, result]) => {
+        assert.isNotNull(game);
+        assert.deepEqual(result, { error: "Game not found" });
+        now += 23 * 60 * 60 * 1000;
+        return games.undo(idle);
+      })
+      .then((result) => {
+        assert.deepEqual(result, { error: "Game not found" });
+        return store.list();
+      })
+      .then((entries) => {
+        assert.lengthOf(entries, 0);
+        done();
+      })
+      .catch(done);
+  });
+
+  // #69
+  test("An open room's game is never pruned or expired", (done) => {
+    let now = Date.parse("2024-01-01T10:00:00Z");
+    const store = new MemoryStore();
+    const games = new GameSessions(store, { now: () => now, maxGames: 1 });
+    const [puzzle] = puzzlesAndSolutions[0];
+    let room;
+    CollaborationRoom.open("kept", games, { puzzle })
+      .then((result) => {
+        room = result.room;
+        room.join("Ann");
+        now += 25 * 60 * 60 * 1000;
+        // over the limit, with the room's game idle for a day
+        return games.start({ puzzle });
+      })
+      .then(() => room.state())
+      .then((state) => {
+        assert.equal(state.game.grid, puzzle);
+        return room.close();
+      })
+      .then(() => store.list())
+      .then((entries) => {
+        assert.lengthOf(entries, 1);
+        assert.notEqual(entries[0].id, room.gameId);
+        done();
+      })
+      .catch(done);
+  });
+
+  // #70
+  test("The sudoku command refuses board options it can't generate for", (done) => {
+    runCli(["generate", "--size", "4", "--seed", "1"])
+      .then(({ status, stdout, stderr }) => {
+        assert.equal(status, 2);
+        assert.equal(stdout, "");
+        assert.match(stderr, /^sudoku: generate only makes classic 9x9 puzzles, so it takes no --size\n/);
+        return runCli(["generate", "--variants", "diagonal", "--seed", "1"]);
+      })
+      .then(({ status, stderr }) => {
+        assert.equal(status, 2);
+        assert.match(stderr, /takes no --variants/);
+        return runCli(["generate", "--size", "9", "--seed", "1", "--json"]);
+      })
+      .then(({ status, stdout }) => {
+        assert.equal(status, 0);
+        assert.lengthOf(JSON.parse(stdout).puzzle, 81);
+        done();
+      })
+      .catch(done);
+  });
 });
@@ -1,11 +1,42 @@
 const chai = require("chai");
 const chaiHttp = require("chai-http");
 const assert = chai.assert;
+process.env.PUZZLE_LIBRARY = "memory";
+process.env.SOLVE_TIME_LIMIT = "300";
+process.env.GENERATE_TIME_LIMIT = "1000";
 const server = require("../server");
-const { puzzlesAndSolutions } = require("../controllers/puzzle-strings");
+const http = require("http");
+const WebSocket = require("ws");
+const collaboration = require("../routes/collaboration.js");
+const GameSessions = require("../controllers/game-sessions.js");
+const { MemoryStore } = require("../controllers/library-stores.js");
+const {
+  puzzlesAndSolutions,
+  killerPuzzle,
+  jigsawPuzzle,
+} = require("../controllers/puzzle-strings");
+const slowPuzzle = require("./slow-puzzle.js");
 
 chai.use(chaiHttp);
 
+// Opens a connection to a collaboration server whose messages can be
+// awaited one by one
+const connectTo = (listener) =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${listener.address().port}/collaborate`);
+    const inbox = [];
+    const waiting = [];
+    ws.on("message", (data) => {
+      const message = JSON.parse(data);
+      waiting.length > 0 ? waiting.shift()(message) : inbox.push(message);
+    });
+    ws.next = () =>
+      inbox.length > 0 ? Promise.resolve(inbox.shift()) : new Promise((r) => waiting.push(r));
+    ws.say = (message) => ws.send(typeof message === "string" ? message : JSON.stringify(message));
+    ws.on("open", () => resolve(ws));
+    ws.on("error", reject);
+  });
+
 suite("Functional Tests", () => {
   suite("POST /api/solve", () => {
     // #1
@@ -244,4 +275,1709 @@ suite("Functional Tests", () => {
         });
     });
   });
+
+  suite("POST /api/solutions", () => {
+    // #15
+    test("Count the solutions of a unique puzzle: POST request to /api/solutions", (done) => {
+      chai
+        .request(server)
+        .post("/api/solutions")
+        .send({ puzzle: puzzlesAndSolutions[0][0] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, {
+            status: "unique",
+            count: 1,
+            solutions: [puzzlesAndSolutions[0][1]],
+          });
+          done();
+        });
+    });
+
+    // #16
+    test("Count the solutions of an ambiguous puzzle: POST request to /api/solutions", (done) => {
+      chai
+        .request(server)
+        .post("/api/solutions")
+        .send({ puzzle: ".".repeat(81), limit: 4 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, "multiple");
+          assert.equal(res.body.count, 4);
+          assert.lengthOf(res.body.solutions, 4);
+          done();
+        });
+    });
+
+    // #17
+    test("Count the solutions of an unsolvable puzzle: POST request to /api/solutions", (done) => {
+      chai
+        .request(server)
+        .post("/api/solutions")
+        .send({
+          puzzle:
+            "115..2.84..63.12.7.2..5.....9..1....8.2.3674.3.7.2..9.47...8..1..16....8.........",
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { status: "none", count: 0, solutions: [] });
+          done();
+        });
+    });
+
+    // #18
+    test("Count solutions with an invalid limit: POST request to /api/solutions", (done) => {
+      chai
+        .request(server)
+        .post("/api/solutions")
+        .send({ puzzle: puzzlesAndSolutions[0][0], limit: 500 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid limit" });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/explain", () => {
+    // #19
+    test("Explain a puzzle step by step: POST request to /api/explain", (done) => {
+      chai
+        .request(server)
+        .post("/api/explain")
+        .send({ puzzle: puzzlesAndSolutions[1][0] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.isTrue(res.body.solved);
+          assert.equal(res.body.puzzle, puzzlesAndSolutions[1][1]);
+          assert.isArray(res.body.steps);
+          const [step] = res.body.steps;
+          assert.property(step, "technique");
+          assert.isArray(step.cells);
+          assert.isArray(step.eliminations);
+          done();
+        });
+    });
+
+    // #20
+    test("Explain a puzzle with conflicting givens: POST request to /api/explain", (done) => {
+      chai
+        .request(server)
+        .post("/api/explain")
+        .send({
+          puzzle:
+            "115..2.84..63.12.7.2..5.....9..1....8.2.3674.3.7.2..9.47...8..1..16....8.........",
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle cannot be solved" });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/rate", () => {
+    // #21
+    test("Rate a puzzle: POST request to /api/rate", (done) => {
+      chai
+        .request(server)
+        .post("/api/rate")
+        .send({ puzzle: puzzlesAndSolutions[0][0] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.tier, "easy");
+          assert.isNumber(res.body.score);
+          assert.isFalse(res.body.guessing);
+          assert.property(res.body.techniques, "hidden-single");
+          done();
+        });
+    });
+
+    // #22
+    test("Rate a puzzle that cannot be solved: POST request to /api/rate", (done) => {
+      chai
+        .request(server)
+        .post("/api/rate")
+        .send({
+          puzzle:
+            "115..2.84..63.12.7.2..5.....9..1....8.2.3674.3.7.2..9.47...8..1..16....8.........",
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle cannot be solved" });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/generate", () => {
+    // #23
+    test("Generate a puzzle: POST request to /api/generate", (done) => {
+      chai
+        .request(server)
+        .post("/api/generate")
+        .send({ difficulty: "easy", symmetry: "diagonal", seed: "7" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.match(res.body.puzzle, /^[1-9.]{81}$/);
+          assert.match(res.body.solution, /^[1-9]{81}$/);
+          assert.equal(res.body.difficulty.tier, "easy");
+          assert.equal(res.body.symmetry, "diagonal");
+          assert.equal(res.body.seed, 7);
+          done();
+        });
+    });
+
+    // #24
+    test("Generate a puzzle with invalid options: POST request to /api/generate", (done) => {
+      chai
+        .request(server)
+        .post("/api/generate")
+        .send({ symmetry: "spiral" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid symmetry" });
+          done();
+        });
+    });
+
+    // #25
+    test("Generate a puzzle with an invalid clue range: POST request to /api/generate", (done) => {
+      chai
+        .request(server)
+        .post("/api/generate")
+        .send({ minClues: 40, maxClues: 30 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid clue range" });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/hint", () => {
+    // #26
+    test("Get the next move: POST request to /api/hint", (done) => {
+      chai
+        .request(server)
+        .post("/api/hint")
+        .send({ puzzle: puzzlesAndSolutions[0][0] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.match(res.body.coordinate, /^[A-I][1-9]$/);
+          const index =
+            (res.body.coordinate.charCodeAt(0) - 65) * 9 +
+            parseInt(res.body.coordinate[1], 10) -
+            1;
+          assert.equal(res.body.value, puzzlesAndSolutions[0][1][index]);
+          assert.equal(res.body.technique, "hidden-single");
+          assert.isString(res.body.unit);
+          done();
+        });
+    });
+
+    // #27
+    test("Get a nudge without the answer: POST request to /api/hint", (done) => {
+      chai
+        .request(server)
+        .post("/api/hint")
+        .send({ puzzle: puzzlesAndSolutions[0][0], mode: "nudge" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.hasAllKeys(res.body, ["technique", "unit"]);
+          done();
+        });
+    });
+
+    // #28
+    test("Get a hint for a grid with a wrong entry: POST request to /api/hint", (done) => {
+      // A2 should be 3
+      const puzzle = "16" + puzzlesAndSolutions[0][0].slice(2);
+      chai
+        .request(server)
+        .post("/api/hint")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle cannot be solved" });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/candidates", () => {
+    // #29
+    test("Get candidates for every empty cell: POST request to /api/candidates", (done) => {
+      chai
+        .request(server)
+        .post("/api/candidates")
+        .send({ puzzle: puzzlesAndSolutions[0][0] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.lengthOf(Object.keys(res.body.candidates), 81 - 38);
+          assert.deepEqual(res.body.candidates.A5, ["6", "7", "9"]);
+          done();
+        });
+    });
+
+    // #30
+    test("Get candidates for one cell: POST request to /api/candidates", (done) => {
+      chai
+        .request(server)
+        .post("/api/candidates")
+        .send({ puzzle: puzzlesAndSolutions[0][0], coordinate: "a5" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { candidates: { A5: ["6", "7", "9"] } });
+          done();
+        });
+    });
+
+    // #31
+    test("Get candidates with an invalid coordinate: POST request to /api/candidates", (done) => {
+      chai
+        .request(server)
+        .post("/api/candidates")
+        .send({ puzzle: puzzlesAndSolutions[0][0], coordinate: "J1" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid coordinate" });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/solve/batch", () => {
+    // #32
+    test("Solve a batch of puzzles: POST request to /api/solve/batch", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve/batch")
+        .send({
+          puzzles: [
+            puzzlesAndSolutions[0][0],
+            "1.5..2.84..63.12.7.2..5..g..9..1....8.2.3674.3.7.2..9.47...8..1..16....8",
+            "115..2.84..63.12.7.2..5.....9..1....8.2.3674.3.7.2..9.47...8..1..16....8.........",
+          ],
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.count, 3);
+          assert.equal(res.body.solved, 1);
+          assert.equal(res.body.failed, 2);
+          const [solved, invalid, unsolvable] = res.body.results;
+          assert.equal(solved.solution, puzzlesAndSolutions[0][1]);
+          assert.equal(invalid.error, "Invalid characters in puzzle");
+          assert.equal(unsolvable.error, "Puzzle cannot be solved");
+          done();
+        });
+    });
+
+    // #33
+    test("Solve a newline-delimited batch: POST request to /api/solve/batch", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve/batch")
+        .set("Content-Type", "text/plain")
+        .send(puzzlesAndSolutions.map((pair) => pair[0]).join("\n"))
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.solved, puzzlesAndSolutions.length);
+          res.body.results.forEach((result, i) => {
+            assert.equal(result.index, i);
+            assert.equal(result.solution, puzzlesAndSolutions[i][1]);
+          });
+          done();
+        });
+    });
+
+    // #34
+    test("Solve a batch that is too large: POST request to /api/solve/batch", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve/batch")
+        .send({ puzzles: new Array(1001).fill(puzzlesAndSolutions[0][0]) })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Batch exceeds 1000 puzzles" });
+          done();
+        });
+    });
+  });
+
+  suite("Variable grid sizes", () => {
+    // #35
+    test("Solve a 4x4 puzzle: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: "1.3..4.22.4..3.1", size: 4 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { solution: "1234341221434321" });
+          done();
+        });
+    });
+
+    // #36
+    test("Check a 16x16 placement: POST request to /api/check", (done) => {
+      const puzzle = "G" + ".".repeat(255);
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({ puzzle, coordinate: "A16", value: "g", size: "16" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { valid: false, conflict: ["row"] });
+          done();
+        });
+    });
+
+    // #37
+    test("Check a placement off a 6x6 board: POST request to /api/check", (done) => {
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({ puzzle: ".".repeat(36), coordinate: "A7", value: "1", size: 6 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid coordinate" });
+          done();
+        });
+    });
+
+    // #38
+    test("Solve a puzzle with an unsupported size: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(64), size: 8 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid size" });
+          done();
+        });
+    });
+  });
+
+  suite("Variant constraints", () => {
+    // #39
+    test("Solve a Windoku puzzle: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .type("form")
+        .send({ puzzle: ".".repeat(81), variants: "windoku,anti-king" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.match(res.body.solution, /^[1-9]{81}$/);
+          done();
+        });
+    });
+
+    // #40
+    test("Check a placement that breaks a variant: POST request to /api/check", (done) => {
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: "1" + ".".repeat(80),
+          coordinate: "I9",
+          value: "1",
+          variants: ["diagonal", "anti-knight"],
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { valid: false, conflict: ["diagonal"] });
+          done();
+        });
+    });
+
+    // #41
+    test("Check a placement with an anti-knight conflict: POST request to /api/check", (done) => {
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: "1" + ".".repeat(80),
+          coordinate: "C2",
+          value: "1",
+          variants: ["anti-knight"],
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, {
+            valid: false,
+            conflict: ["region", "anti-knight"],
+          });
+          done();
+        });
+    });
+
+    // #42
+    test("Solve a puzzle with an unknown variant: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: puzzlesAndSolutions[0][0], variants: ["killer"] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid variants" });
+          done();
+        });
+    });
+  });
+
+  suite("Killer Sudoku", () => {
+    // #43
+    test("Solve a Killer Sudoku: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(81), cages: killerPuzzle.cages })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { solution: killerPuzzle.solution });
+          done();
+        });
+    });
+
+    // #44
+    test("Solve a Killer Sudoku with cages from a form: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .type("form")
+        .send({
+          puzzle: ".".repeat(81),
+          cages: JSON.stringify(killerPuzzle.cages),
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { solution: killerPuzzle.solution });
+          done();
+        });
+    });
+
+    // #45
+    test("Check a placement that breaks a cage: POST request to /api/check", (done) => {
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: "1" + ".".repeat(80),
+          coordinate: "B1",
+          value: "1",
+          cages: killerPuzzle.cages,
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, {
+            valid: false,
+            conflict: ["column", "region", "cage"],
+          });
+          done();
+        });
+    });
+
+    // #46
+    test("Solve a puzzle with cages that leave cells uncovered: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(81), cages: killerPuzzle.cages.slice(1) })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, {
+            error: "Cages must cover every cell exactly once",
+          });
+          done();
+        });
+    });
+  });
+
+  suite("Jigsaw regions", () => {
+    // #47
+    test("Solve a jigsaw puzzle: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: jigsawPuzzle.puzzle, regions: jigsawPuzzle.regions })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { solution: jigsawPuzzle.solution });
+          done();
+        });
+    });
+
+    // #48
+    test("Check a placement against a jigsaw region: POST request to /api/check", (done) => {
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: jigsawPuzzle.puzzle,
+          coordinate: "G7",
+          value: "3",
+          regions: jigsawPuzzle.regions,
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { valid: false, conflict: ["region"] });
+          done();
+        });
+    });
+
+    // #49
+    test("Solve a puzzle with a disconnected region map: POST request to /api/solve", (done) => {
+      const { regions } = jigsawPuzzle;
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({
+          puzzle: jigsawPuzzle.puzzle,
+          regions: "9" + regions.slice(1, 80) + "1",
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Regions must be contiguous" });
+          done();
+        });
+    });
+  });
+
+  suite("Puzzle formats", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    const rows = puzzle.match(/.{9}/g);
+
+    // #50
+    test("Solve a CSV puzzle and get a JSON grid: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({
+          puzzle: rows.map((row) => row.split("").join(",")).join("\n"),
+          format: "csv",
+          output: "json",
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.lengthOf(res.body.solution, 9);
+          assert.deepEqual(
+            res.body.solution[0],
+            solution.slice(0, 9).split("").map(Number),
+          );
+          done();
+        });
+    });
+
+    // #51
+    test("Solve a CSV body picked by its Content-Type: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .set("Content-Type", "text/csv")
+        .send(rows.map((row) => row.replace(/\./g, "0").split("").join(",")).join("\n"))
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(
+            res.body.solution.split("\n")[0],
+            solution.slice(0, 9).split("").join(","),
+          );
+          done();
+        });
+    });
+
+    // #52
+    test("Solve a grid text body with an output format: POST request to /api/solve?output=string", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve?output=string")
+        .set("Content-Type", "text/plain")
+        .send(
+          rows
+            .map((row) => row.replace(/(...)(...)(...)/, "$1|$2|$3"))
+            .map((row) => row.split("").join(" "))
+            .join("\n"),
+        )
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { solution });
+          done();
+        });
+    });
+
+    // #53
+    test("Convert a puzzle to a Simple Sudoku file: POST request to /api/convert", (done) => {
+      chai
+        .request(server)
+        .post("/api/convert")
+        .send({ puzzle, output: "ss" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.puzzle.split("\n")[0], "1.5|..2|.84");
+          assert.lengthOf(res.body.puzzle.split("\n"), 11);
+          done();
+        });
+    });
+
+    // #54
+    test("Solve a puzzle with an unknown format: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle, format: "xml" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid format" });
+          done();
+        });
+    });
+  });
+
+  suite("Rendering", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+
+    // #55
+    test("Render a puzzle as SVG with axis labels: GET request to /api/render", (done) => {
+      chai
+        .request(server)
+        .get("/api/render")
+        .query({ puzzle, labels: "true", solution: "true" })
+        .buffer()
+        .parse((res, callback) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () => callback(null, data));
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.type, "image/svg+xml");
+          assert.include(res.body, ">I</text>");
+          assert.include(res.body, 'fill="#2a5db0">');
+          done();
+        });
+    });
+
+    // #56
+    test("Render a worksheet of puzzles as PDF: POST request to /api/render", (done) => {
+      chai
+        .request(server)
+        .post("/api/render")
+        .send({
+          puzzles: puzzlesAndSolutions.map(([p]) => p),
+          type: "pdf",
+          candidates: true,
+        })
+        .buffer()
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => callback(null, Buffer.concat(chunks)));
+        })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.type, "application/pdf");
+          assert.equal(res.body.slice(0, 8).toString(), "%PDF-1.4");
+          done();
+        });
+    });
+
+    // #57
+    test("Render more than one puzzle as SVG: POST request to /api/render", (done) => {
+      chai
+        .request(server)
+        .post("/api/render")
+        .send({ puzzles: [puzzle, puzzle] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "SVG renders a single puzzle" });
+          done();
+        });
+    });
+
+    // #58
+    test("Render a puzzle with a solution that changes a given: POST request to /api/render", (done) => {
+      chai
+        .request(server)
+        .post("/api/render")
+        .send({ puzzle, solution: "2" + solution.slice(1) })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid solution" });
+          done();
+        });
+    });
+  });
+
+  suite("/api/puzzles", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    // puzzle 0 with every 1 and 2 swapped
+    const relabelled = puzzle.replace(/[12]/g, (d) => (d === "1" ? "2" : "1"));
+    // puzzle 4 with one more given
+    const [other, otherSolution] = puzzlesAndSolutions[4];
+    const blank = other.indexOf(".");
+    const added =
+      other.slice(0, blank) + otherSolution[blank] + other.slice(blank + 1);
+    let id;
+
+    // #59
+    test("List the sample puzzles: GET request to /api/puzzles", (done) => {
+      chai
+        .request(server)
+        .get("/api/puzzles")
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.count, puzzlesAndSolutions.length);
+          assert.equal(res.body.puzzles[0].puzzle, puzzle);
+          assert.equal(res.body.puzzles[0].solution, solution);
+          assert.equal(res.body.puzzles[0].source, "sample");
+          done();
+        });
+    });
+
+    // #60
+    test("Add a puzzle with tags: POST request to /api/puzzles", (done) => {
+      chai
+        .request(server)
+        .post("/api/puzzles")
+        .send({ puzzle: added, source: "Weekly", tags: "Published, weekly" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.puzzle, added);
+          assert.deepEqual(res.body.tags, ["published", "weekly"]);
+          assert.equal(res.body.clues, other.replace(/\./g, "").length + 1);
+          assert.isFalse(res.body.solved);
+          id = res.body.id;
+          done();
+        });
+    });
+
+    // #61
+    test("Add a relabelled copy of a puzzle: POST request to /api/puzzles", (done) => {
+      chai
+        .request(server)
+        .post("/api/puzzles")
+        .send({ puzzle: relabelled })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.error, "Puzzle already in library");
+          assert.isString(res.body.id);
+          done();
+        });
+    });
+
+    // #62
+    test("Mark a puzzle solved and search by tag and status: PUT and GET requests to /api/puzzles", (done) => {
+      chai
+        .request(server)
+        .put(`/api/puzzles/${id}`)
+        .send({ solved: true })
+        .end((err, res) => {
+          assert.isTrue(res.body.solved);
+          chai
+            .request(server)
+            .get("/api/puzzles?tag=weekly&solved=true")
+            .end((err, res) => {
+              assert.equal(res.status, 200);
+              assert.equal(res.body.count, 1);
+              assert.equal(res.body.puzzles[0].id, id);
+              done();
+            });
+        });
+    });
+
+    // #63
+    test("Search with an invalid difficulty: GET request to /api/puzzles", (done) => {
+      chai
+        .request(server)
+        .get("/api/puzzles?difficulty=impossible")
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid difficulty" });
+          done();
+        });
+    });
+
+    // #64
+    test("Delete a puzzle: DELETE request to /api/puzzles/:id", (done) => {
+      chai
+        .request(server)
+        .delete(`/api/puzzles/${id}`)
+        .end((err, res) => {
+          assert.deepEqual(res.body, { deleted: id });
+          chai
+            .request(server)
+            .get(`/api/puzzles/${id}`)
+            .end((err, res) => {
+              assert.deepEqual(res.body, { error: "Puzzle not found" });
+              done();
+            });
+        });
+    });
+  });
+
+  suite("POST /api/equivalent", () => {
+    const [puzzle] = puzzlesAndSolutions[1];
+    // rows A and B swapped, then every 1 and 2
+    const other = (puzzle.slice(9, 18) + puzzle.slice(0, 9) + puzzle.slice(18))
+      .replace(/[12]/g, (d) => (d === "1" ? "2" : "1"));
+
+    // #65
+    test("Compare a puzzle with a disguised copy: POST request to /api/equivalent", (done) => {
+      chai
+        .request(server)
+        .post("/api/equivalent")
+        .send({ puzzle, other })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.isTrue(res.body.equivalent);
+          assert.lengthOf(res.body.canonical, 81);
+          assert.hasAllKeys(res.body.transform, ["transpose", "rows", "columns", "digits"]);
+          done();
+        });
+    });
+
+    // #66
+    test("Compare two different puzzles: POST request to /api/equivalent", (done) => {
+      chai
+        .request(server)
+        .post("/api/equivalent")
+        .send({ puzzle, other: puzzlesAndSolutions[2][0] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { equivalent: false });
+          done();
+        });
+    });
+
+    // #67
+    test("Compare puzzles on a variant board: POST request to /api/equivalent", (done) => {
+      chai
+        .request(server)
+        .post("/api/equivalent")
+        .send({ puzzle, other, variants: ["diagonal"] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, {
+            error: "Equivalence needs a classic board of 9x9 or smaller",
+          });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/transform", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+
+    // #68
+    test("Rotate a puzzle and its solution: POST request to /api/transform", (done) => {
+      chai
+        .request(server)
+        .post("/api/transform")
+        .send({ puzzle, operations: [{ type: "rotate", degrees: 180 }] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.puzzle, puzzle.split("").reverse().join(""));
+          assert.equal(res.body.solution, solution.split("").reverse().join(""));
+          assert.deepEqual(res.body.transform, {
+            transpose: false,
+            rows: "IHGFEDCBA",
+            columns: "987654321",
+            digits: "123456789",
+          });
+          done();
+        });
+    });
+
+    // #69
+    test("Shuffle a puzzle with a seed: POST request to /api/transform", (done) => {
+      const operations = [{ type: "shuffle", seed: "weekly" }, { type: "relabel", digits: "987654321" }];
+      chai
+        .request(server)
+        .post("/api/transform")
+        .send({ puzzle, solution, operations })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body.operations, operations);
+          chai
+            .request(server)
+            .post("/api/equivalent")
+            .send({ puzzle, other: res.body.puzzle })
+            .end((err, again) => {
+              assert.isTrue(again.body.equivalent);
+              done();
+            });
+        });
+    });
+
+    // #70
+    test("Transform a puzzle with an unknown operation: POST request to /api/transform", (done) => {
+      chai
+        .request(server)
+        .post("/api/transform")
+        .send({ puzzle, operations: [{ type: "rotate", degrees: 45 }] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid operations" });
+          done();
+        });
+    });
+
+    // #71
+    test("Transform a puzzle with a wrong solution: POST request to /api/transform", (done) => {
+      chai
+        .request(server)
+        .post("/api/transform")
+        .send({ puzzle, solution: solution.slice(0, 80) + "1", operations: [{ type: "transpose" }] })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid solution" });
+          done();
+        });
+    });
+  });
+
+  suite("/api/v2", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+
+    // #72
+    test("Solve a puzzle: POST request to /api/v2/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/solve")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { solution });
+          done();
+        });
+    });
+
+    // #73
+    test("Solve a puzzle with invalid characters: POST request to /api/v2/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/solve")
+        .send({ puzzle: puzzle.slice(0, 4) + "x" + puzzle.slice(5) })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.deepEqual(res.body, {
+            error: {
+              code: "INVALID_CHARACTERS",
+              message: "Invalid characters in puzzle",
+              details: { index: 4, character: "x" },
+            },
+          });
+          done();
+        });
+    });
+
+    // #74
+    test("Solve a puzzle with incorrect length: POST request to /api/v2/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/solve")
+        .send({ puzzle: puzzle.slice(1) })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.equal(res.body.error.code, "INVALID_LENGTH");
+          assert.deepEqual(res.body.error.details, { expected: 81, received: 80 });
+          done();
+        });
+    });
+
+    // #75
+    test("Check a placement with missing fields: POST request to /api/v2/check", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/check")
+        .send({ puzzle, value: "1" })
+        .end((err, res) => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.error.code, "MISSING_FIELDS");
+          assert.equal(res.body.error.message, "Required field(s) missing");
+          assert.deepEqual(res.body.error.details, { missing: ["coordinate"] });
+          done();
+        });
+    });
+
+    // #76
+    test("Look up a missing library puzzle: GET request to /api/v2/puzzles/:id", (done) => {
+      chai
+        .request(server)
+        .get("/api/v2/puzzles/missing")
+        .end((err, res) => {
+          assert.equal(res.status, 404);
+          assert.equal(res.body.error.code, "PUZZLE_NOT_FOUND");
+          assert.deepEqual(res.body.error.details, { id: "missing" });
+          done();
+        });
+    });
+
+    // #77
+    test("Send malformed JSON: POST request to /api/v2/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/solve")
+        .set("Content-Type", "application/json")
+        .send("{")
+        .end((err, res) => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.error.code, "INVALID_BODY");
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/analyze", () => {
+    const [puzzle] = puzzlesAndSolutions[0];
+
+    // #78
+    test("Analyze a puzzle with clashing givens: POST request to /api/analyze", (done) => {
+      chai
+        .request(server)
+        .post("/api/analyze")
+        .send({ puzzle: puzzle.slice(0, 1) + "5" + puzzle.slice(2) })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, "contradictory");
+          assert.deepEqual(res.body.conflicts[0], {
+            unit: "row",
+            value: "5",
+            cells: ["A2", "A3"],
+          });
+          done();
+        });
+    });
+
+    // #79
+    test("Analyze a valid puzzle: POST request to /api/analyze", (done) => {
+      chai
+        .request(server)
+        .post("/api/analyze")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { status: "unique", conflicts: [] });
+          done();
+        });
+    });
+
+    // #80
+    test("Analyze a puzzle with invalid characters: POST request to /api/analyze", (done) => {
+      chai
+        .request(server)
+        .post("/api/analyze")
+        .send({ puzzle: "x" + puzzle.slice(1) })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid characters in puzzle" });
+          done();
+        });
+    });
+  });
+
+  suite("POST /api/verify", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+
+    // #81
+    test("Verify a correct grid: POST request to /api/verify", (done) => {
+      chai
+        .request(server)
+        .post("/api/verify")
+        .send({ puzzle, grid: solution })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.isTrue(res.body.complete);
+          assert.isTrue(res.body.correct);
+          assert.notProperty(res.body, "solution");
+          done();
+        });
+    });
+
+    // #82
+    test("Verify a grid with a mistake and reveal the solution: POST request to /api/verify", (done) => {
+      chai
+        .request(server)
+        .post("/api/verify")
+        .send({ puzzle, grid: puzzle.slice(0, 1) + "4" + puzzle.slice(2), reveal: true })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.isFalse(res.body.complete);
+          assert.deepEqual(res.body.wrong, ["A2"]);
+          assert.deepEqual(res.body.changedGivens, []);
+          assert.equal(res.body.solution, solution);
+          done();
+        });
+    });
+
+    // #83
+    test("Verify a grid of the wrong length: POST request to /api/verify", (done) => {
+      chai
+        .request(server)
+        .post("/api/verify")
+        .send({ puzzle, grid: solution.slice(1) })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid grid" });
+          done();
+        });
+    });
+
+    // #84
+    test("Verify a grid for a puzzle with several solutions: POST request to /api/verify", (done) => {
+      chai
+        .request(server)
+        .post("/api/verify")
+        .send({ puzzle: ".".repeat(81), grid: solution })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle has more than one solution" });
+          done();
+        });
+    });
+  });
+
+  suite("Game sessions", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    let id;
+
+    // #85
+    test("Start a game: POST request to /api/games", (done) => {
+      chai
+        .request(server)
+        .post("/api/games")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.isString(res.body.id);
+          assert.include(res.body, { puzzle, grid: puzzle, mistakes: 0, complete: false });
+          assert.deepEqual(res.body.moves, []);
+          id = res.body.id;
+          done();
+        });
+    });
+
+    // #86
+    test("Make a move that breaks the rules: POST request to /api/games/:id/moves", (done) => {
+      chai
+        .request(server)
+        .post(`/api/games/${id}/moves`)
+        .send({ coordinate: "A2", value: "5" })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.isFalse(res.body.valid);
+          assert.deepEqual(res.body.conflict, ["row", "region"]);
+          assert.equal(res.body.game.mistakes, 1);
+          assert.equal(res.body.game.grid, puzzle);
+          done();
+        });
+    });
+
+    // #87
+    test("Place a digit and undo it: POST requests to /api/games/:id/moves and /api/games/:id/undo", (done) => {
+      chai
+        .request(server)
+        .post(`/api/games/${id}/moves`)
+        .send({ coordinate: "A2", value: solution[1] })
+        .end((err, res) => {
+          assert.isTrue(res.body.valid);
+          assert.equal(res.body.game.grid[1], solution[1]);
+          assert.deepEqual(res.body.game.moves.map((move) => move.coordinate), ["A2"]);
+          chai
+            .request(server)
+            .post(`/api/games/${id}/undo`)
+            .end((err, res) => {
+              assert.equal(res.status, 200);
+              assert.equal(res.body.grid, puzzle);
+              assert.deepEqual(res.body.moves, []);
+              done();
+            });
+        });
+    });
+
+    // #88
+    test("Fetch a game: GET request to /api/games/:id", (done) => {
+      chai
+        .request(server)
+        .get(`/api/games/${id}`)
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.include(res.body, { id, grid: puzzle, mistakes: 1, complete: false });
+          assert.isNumber(res.body.elapsed);
+          done();
+        });
+    });
+
+    // #89
+    test("Finish a game, after which it can't change: POST request to /api/v2/games/:id/moves", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/games")
+        .send({ puzzle: "." + solution.slice(1) })
+        .end((err, res) => {
+          const finished = res.body.id;
+          chai
+            .request(server)
+            .post(`/api/v2/games/${finished}/moves`)
+            .send({ coordinate: "A1", value: solution[0] })
+            .end((err, res) => {
+              assert.equal(res.status, 200);
+              assert.isTrue(res.body.game.complete);
+              assert.equal(res.body.game.completedAt, res.body.game.moves[0].at);
+              chai
+                .request(server)
+                .post(`/api/v2/games/${finished}/undo`)
+                .end((err, res) => {
+                  assert.equal(res.status, 409);
+                  assert.equal(res.body.error.code, "GAME_COMPLETE");
+                  done();
+                });
+            });
+        });
+    });
+
+    // #90
+    test("Move in an unknown game or on a given: POST request to /api/v2/games/:id/moves", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/games/missing/moves")
+        .send({ coordinate: "A2", value: "1" })
+        .end((err, res) => {
+          assert.equal(res.status, 404);
+          assert.deepEqual(res.body.error, {
+            code: "GAME_NOT_FOUND",
+            message: "Game not found",
+            details: { id: "missing" },
+          });
+          chai
+            .request(server)
+            .post(`/api/v2/games/${id}/moves`)
+            .send({ action: "erase", coordinate: "A1" })
+            .end((err, res) => {
+              assert.equal(res.status, 422);
+              assert.equal(res.body.error.code, "GIVEN_CELL");
+              done();
+            });
+        });
+    });
+  });
+
+  suite("WebSocket collaboration", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    const listener = http.createServer();
+    collaboration(listener);
+
+    suiteSetup((done) => listener.listen(0, done));
+    suiteTeardown((done) => listener.close(done));
+
+    const connect = () => connectTo(listener);
+
+    // #91
+    test("Open a room and join it: join messages to /collaborate", (done) => {
+      let first, second;
+      Promise.all([connect(), connect()])
+        .then((sockets) => {
+          [first, second] = sockets;
+          first.say({ type: "join", room: "open", name: "Ann", puzzle });
+          return first.next();
+        })
+        .then((welcome) => {
+          assert.equal(welcome.type, "welcome");
+          assert.include(welcome, { room: "open", revision: 0 });
+          assert.equal(welcome.game.grid, puzzle);
+          second.say({ type: "join", room: "open", name: "Bo" });
+          return Promise.all([second.next(), first.next()]);
+        })
+        .then(([welcome, joined]) => {
+          assert.deepEqual(welcome.players.map((player) => player.name), ["Ann", "Bo"]);
+          assert.deepEqual(joined, {
+            type: "joined",
+            player: { id: welcome.player, name: "Bo", cursor: null },
+          });
+          second.close();
+          return first.next();
+        })
+        .then((left) => {
+          assert.equal(left.type, "left");
+          first.close();
+          done();
+        })
+        .catch(done);
+    });
+
+    // #92
+    test("Share cursors and edits, refusing stale ones: cursor and edit messages to /collaborate", (done) => {
+      let first, second;
+      Promise.all([connect(), connect()])
+        .then((sockets) => {
+          [first, second] = sockets;
+          first.say({ type: "join", room: "edits", puzzle });
+          second.say({ type: "join", room: "edits" });
+          return Promise.all([first.next(), second.next(), first.next()]);
+        })
+        .then(() => {
+          first.say({ type: "cursor", coordinate: "a2" });
+          return second.next();
+        })
+        .then((cursor) => {
+          assert.include(cursor, { type: "cursor", coordinate: "A2" });
+          first.say({ type: "edit", coordinate: "A2", value: solution[1], revision: 0 });
+          second.say({ type: "edit", coordinate: "A2", value: "6", revision: 0 });
+          return Promise.all([first.next(), second.next(), second.next()]);
+        })
+        .then(([edit, seen, rejected]) => {
+          assert.include(edit, { type: "edit", revision: 1, action: "place", coordinate: "A2" });
+          assert.deepEqual(seen, edit);
+          assert.deepEqual(rejected, {
+            type: "rejected",
+            reason: "stale",
+            coordinate: "A2",
+            cell: { value: solution[1], marks: [] },
+            revision: 1,
+          });
+          first.close();
+          second.close();
+          done();
+        })
+        .catch(done);
+    });
+
+    // #93
+    test("Report bad messages: messages to /collaborate", (done) => {
+      connect()
+        .then((ws) => {
+          ws.say("not json");
+          ws.say({ type: "edit", coordinate: "A2", value: "1", revision: 0 });
+          ws.say({ type: "join", room: "nobody-here" });
+          ws.say({ type: "join", room: "bad", puzzle: "1" });
+          return Promise.all([ws.next(), ws.next(), ws.next(), ws.next()]).then((errors) => {
+            assert.deepEqual(
+              errors.map((message) => message.error),
+              ["Invalid message", "Join a room first", "Room not found", "Expected puzzle to be 81 characters long"],
+            );
+            ws.close();
+            done();
+          });
+        })
+        .catch(done);
+    });
+  });
+
+  suite("Search time limit", () => {
+    // #94
+    test("Give up on a puzzle that takes too long: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: slowPuzzle, size: 25 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle took too long to solve" });
+          done();
+        });
+    });
+
+    // #95
+    test("Give up on a puzzle that takes too long: POST request to /api/v2/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/solve")
+        .send({ puzzle: slowPuzzle, size: 25 })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.equal(res.body.error.code, "SEARCH_TIMEOUT");
+          done();
+        });
+    });
+
+    // #96
+    test("Give up on a game whose puzzle takes too long: POST request to /api/games", (done) => {
+      chai
+        .request(server)
+        .post("/api/games")
+        .send({ puzzle: slowPuzzle, size: 25 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle took too long to solve" });
+          done();
+        });
+    });
+  });
+
+  suite("Puzzles that aren't strings", () => {
+    // #97
+    test("Solve a puzzle sent as a number: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: 5 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Expected puzzle to be 81 characters long" });
+          done();
+        });
+    });
+
+    // #98
+    test("Check a placement in a puzzle sent as an object: POST request to /api/v2/check", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/check")
+        .send({ puzzle: { a: 1 }, coordinate: "A1", value: "1" })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.equal(res.body.error.code, "INVALID_CHARACTERS");
+          done();
+        });
+    });
+  });
+
+  suite("Cage sums out of reach", () => {
+    const cages = killerPuzzle.cages.map((cage, i) => (i === 0 ? { ...cage, sum: 100000000 } : cage));
+
+    // #99
+    test("Solve a Killer puzzle with a huge cage sum: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(81), cages })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Cage sum cannot be reached" });
+          done();
+        });
+    });
+
+    // #100
+    test("Solve a Killer puzzle with a huge cage sum: POST request to /api/v2/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/solve")
+        .send({ puzzle: ".".repeat(81), cages })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.equal(res.body.error.code, "CAGE_SUM_UNREACHABLE");
+          done();
+        });
+    });
+  });
+
+  suite("Equivalence of empty grids", () => {
+    // #101
+    test("Compare two empty grids: POST request to /api/equivalent", (done) => {
+      const started = Date.now();
+      chai
+        .request(server)
+        .post("/api/equivalent")
+        .send({ puzzle: ".".repeat(81), other: ".".repeat(81) })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.isTrue(res.body.equivalent);
+          assert.equal(res.body.canonical, ".".repeat(81));
+          assert.isBelow(Date.now() - started, 1000);
+          done();
+        });
+    });
+  });
+
+  suite("Closing collaboration rooms", () => {
+    const [puzzle] = puzzlesAndSolutions[0];
+    const store = new MemoryStore();
+    const listener = http.createServer();
+    collaboration(listener, { games: new GameSessions(store) });
+
+    suiteSetup((done) => listener.listen(0, done));
+    suiteTeardown((done) => listener.close(done));
+
+    // Resolves once the next game has been removed from the store
+    const removal = () =>
+      new Promise((resolve) => {
+        const remove = store.remove.bind(store);
+        store.remove = (id) => {
+          store.remove = remove;
+          return remove(id).then((removed) => {
+            resolve(id);
+            return removed;
+          });
+        };
+      });
+
+    // Asks to join a room without a puzzle, which only works if it is open
+    const joinExisting = (room) =>
+      connectTo(listener).then((ws) => {
+        ws.say({ type: "join", room });
+        return ws.next().then((message) => {
+          ws.close();
+          return message;
+        });
+      });
+
+    // #102
+    test("Remove a room's game when its last player leaves: join messages to /collaborate", (done) => {
+      const removed = removal();
+      connectTo(listener)
+        .then((ws) => {
+          ws.say({ type: "join", room: "closing", puzzle });
+          return ws.next().then((welcome) => {
+            assert.equal(welcome.type, "welcome");
+            ws.close();
+            return removed.then((id) => assert.equal(id, welcome.game.id));
+          });
+        })
+        .then(() => store.list())
+        .then((entries) => {
+          assert.lengthOf(entries, 0);
+          return joinExisting("closing");
+        })
+        .then((message) => {
+          assert.deepEqual(message, { type: "error", error: "Room not found" });
+          done();
+        })
+        .catch(done);
+    });
+
+    // #103
+    test("Close a room whose player hung up while it opened: join messages to /collaborate", (done) => {
+      const removed = removal();
+      connectTo(listener)
+        .then((ws) => {
+          ws.say({ type: "join", room: "abandoned", puzzle });
+          ws.close();
+          return removed;
+        })
+        .then(() => store.list())
+        .then((entries) => {
+          assert.lengthOf(entries, 0);
+          return joinExisting("abandoned");
+        })
+        .then((message) => {
+          assert.deepEqual(message, { type: "error", error: "Room not found" });
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  suite("Generation time limit", () => {
+    // #104
+    test("Give up on options that can't be met: POST request to /api/generate", (done) => {
+      const started = Date.now();
+      chai
+        .request(server)
+        .post("/api/generate")
+        .send({ difficulty: "easy", maxClues: 19, seed: 1 })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Could not generate a puzzle with the requested options" });
+          assert.isBelow(Date.now() - started, 2000);
+          done();
+        });
+    });
+
+    // #105
+    test("Give up on options that can't be met: POST request to /api/v2/generate", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/generate")
+        .send({ difficulty: "easy", maxClues: 19, seed: 1 })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.equal(res.body.error.code, "GENERATION_FAILED");
+          done();
+        });
+    });
+  });
+
+  suite("Puzzles sent as arrays", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    const rows = puzzle.match(/.{9}/g).map((row) => row.split("").map((char) => (char === "." ? 0 : Number(char))));
+
+    // #106
+    test("Solve a puzzle sent as a flat array: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: rows.flat() })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Invalid characters in puzzle" });
+          done();
+        });
+    });
+
+    // #107
+    test("Solve a puzzle sent as an array of rows: POST request to /api/solve", (done) => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: rows })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.solution.flat().join(""), solution);
+          done();
+        });
+    });
+  });
+
+  suite("Rating puzzles with several solutions", () => {
+    const puzzle = ".".repeat(81);
+
+    // #108
+    test("Rate a puzzle with several solutions: POST request to /api/rate", (done) => {
+      chai
+        .request(server)
+        .post("/api/rate")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle has more than one solution" });
+          done();
+        });
+    });
+
+    // #109
+    test("Rate a puzzle with several solutions: POST request to /api/v2/rate", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/rate")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.equal(res.body.error.code, "MULTIPLE_SOLUTIONS");
+          done();
+        });
+    });
+  });
+
+  suite("Hints for puzzles with several solutions", () => {
+    const puzzle = ".".repeat(81);
+
+    // #110
+    test("Get a hint for a puzzle with several solutions: POST request to /api/hint", (done) => {
+      chai
+        .request(server)
+        .post("/api/hint")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body, { error: "Puzzle has more than one solution" });
+          done();
+        });
+    });
+
+    // #111
+    test("Get a hint for a puzzle with several solutions: POST request to /api/v2/hint", (done) => {
+      chai
+        .request(server)
+        .post("/api/v2/hint")
+        .send({ puzzle, mode: "nudge" })
+        .end((err, res) => {
+          assert.equal(res.status, 422);
+          assert.equal(res.body.error.code, "MULTIPLE_SOLUTIONS");
+          done();
+        });
+    });
+  });
 });
@@ -0,0 +1,11 @@
+// A 25x25 puzzle whose givens don't clash but which has no solution: it is a
+// solved grid with 45% of its digits kept and A1 changed from 1 to 4. Proving
+// that takes the search minutes.
+const slowPuzzle =
+  '42...6.8..BC..FGH.J.L.NOP6..9........345BCD.FG....BCDE.12.45......M..........I.K......M...6789...3....N.....J...89A.........F' +
+  '...3...CD6.LEF7M..G8N..H9.....O.4..H5...CA.F2..G..9E.D.....N....2.P..I71...C6B.....8.J.G......D..L......87G.2....1....B...5D.' +
+  '31.6.I..KC.FML..G.5.P.A.B..LC..4..B7J..D.8.P.E.153.PG.....5.N...O.J9.BHK2.........6N.PK...D.2..ML.G....B9....8.E.CG.F....N.ID' +
+  '..67..8..D..KN.O...................34.7.P...NI8..6OG.AIH.B.E....L.95....C.1KBC.D4LP.....GI2E.6.5OH.NE9P......O......IF.C.G..4' +
+  '...1O..AP4C...........E...DE...9......A..4P...I..L.4...N...GD.6.J.1.89..O.7..J...6K.2E97M......FBP...K7L...O..F...1E.6A..5...';
+
+module.exports = slowPuzzle;
@@ -0,0 +1,32 @@
+// Type checks for index.d.ts, run by npm run typecheck (nothing here runs)
+
+import library, {
+  SudokuSolver,
+  PuzzleGenerator,
+  SearchTimeoutError,
+  Rating,
+  formatPuzzle,
+} from "../index";
+
+const solver = new library.SudokuSolver({ size: 9, timeLimit: 1000 });
+
+const named: SudokuSolver = solver;
+
+const solution: string | false = named.solve(".".repeat(81), {
+  timeLimit: 500,
+});
+
+const rating: Rating | false = solver.rate(".".repeat(81));
+
+const rows: number[][] = library.formatPuzzle(".".repeat(81), "json");
+
+const text: string = formatPuzzle(".".repeat(81), "grid");
+
+const generated = new PuzzleGenerator(solver).generate({ difficulty: "hard" });
+
+const timedOut: boolean = new SearchTimeoutError() instanceof Error;
+
+// @ts-expect-error: there is no such tier
+library.TIERS.push("impossible");
+
+export { solution, rating, rows, text, generated, timedOut };